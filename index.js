@@ -1,10 +1,14 @@
-var Ferguson = require('./lib/ferguson').Ferguson;
+var Ferguson = require('./lib/ferguson').Ferguson
+  , errors = require('./lib/errors');
 
 var ferguson = module.exports = function (dir, options) {
     return new Ferguson(dir, options);
 };
 
 ferguson.Ferguson = Ferguson;
+ferguson.FergusonError = errors.FergusonError;
+ferguson.CompileError = errors.CompileError;
+ferguson.BuildError = errors.BuildError;
 ferguson.tags = require('./lib/tags');
 ferguson.compressors = require('./lib/compressors');
 ferguson.utils = require('./lib/utils');
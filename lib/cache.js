@@ -0,0 +1,125 @@
+var path = require('path')
+  , mkdirp = require('mkdirp')
+  , fs = require('fs')
+  , debug = require('debug')('ferguson:cache')
+  , utils = require('./utils');
+
+/**
+ * Cache the output of compilers, in memory and optionally on disk.
+ *
+ * Only the latest version of each file is kept.
+ *
+ * @param {String} dir (optional) - persist entries to this directory
+ */
+
+function CompileCache(dir) {
+    this.dir = dir || null;
+    this.entries = {};
+}
+
+exports.CompileCache = CompileCache;
+
+/**
+ * Get the cached output of a compiler.
+ *
+ * @param {String} name - the file that was compiled
+ * @param {String} key - identifies the version of the file and the compiler
+ * @return {Object} compiled - { contents: <Buffer|String>, map: .., dependencies: .. }
+ */
+
+CompileCache.prototype.get = function (name, key) {
+    var entry = this.entries[name];
+    if (entry && entry.key === key) {
+        return entry.compiled;
+    }
+    if (!this.dir) {
+        return null;
+    }
+    var compiled;
+    try {
+        compiled = decode(JSON.parse(fs.readFileSync(this.getPath(key)).toString()));
+    } catch (err) {
+        return null;
+    }
+    debug('Loaded %s from the compile cache', name);
+    this.entries[name] = { key: key, compiled: compiled };
+    return compiled;
+};
+
+/**
+ * Cache the output of a compiler.
+ *
+ * @param {String} name
+ * @param {String} key
+ * @param {Object} compiled
+ */
+
+CompileCache.prototype.set = function (name, key, compiled) {
+    var previous = this.entries[name]
+      , self = this;
+    this.entries[name] = { key: key, compiled: compiled };
+    if (!this.dir) {
+        return;
+    }
+    if (previous && previous.key !== key) {
+        fs.unlink(this.getPath(previous.key), utils.noop);
+    }
+    mkdirp(this.dir, function (err) {
+        if (err) {
+            return debug('Failed to create the compile cache directory: %s', err.message);
+        }
+        utils.writeFileAtomic(self.getPath(key), JSON.stringify(encode(compiled)), function (err) {
+            if (err) {
+                debug('Failed to write %s to the compile cache: %s', name, err.message);
+            }
+        });
+    });
+};
+
+/**
+ * Get the location of a cache entry on disk.
+ *
+ * @param {String} key
+ * @return {String}
+ */
+
+CompileCache.prototype.getPath = function (key) {
+    return path.join(this.dir, key + '.json');
+};
+
+/**
+ * Serialise the output of a compiler.
+ *
+ * @param {Object} compiled
+ * @return {Object}
+ */
+
+function encode(compiled) {
+    var buffer = Buffer.isBuffer(compiled.contents);
+    return {
+        contents: buffer ? compiled.contents.toString('base64') : String(compiled.contents)
+      , buffer: buffer
+      , map: compiled.map || null
+      , dependencies: compiled.dependencies || null
+    };
+}
+
+/**
+ * Deserialise the output of a compiler.
+ *
+ * @param {Object} entry
+ * @return {Object} compiled
+ */
+
+function decode(entry) {
+    var compiled = {
+        contents: entry.buffer ? new Buffer(entry.contents, 'base64') : entry.contents
+    };
+    if (entry.map) {
+        compiled.map = entry.map;
+    }
+    if (entry.dependencies) {
+        compiled.dependencies = entry.dependencies;
+    }
+    return compiled;
+}
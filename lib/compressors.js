@@ -12,19 +12,26 @@ var cssCompressor = new CleanCSS({ processImport: false })
 /**
  * Minify and obfuscate a JavaScript asset.
  *
+ * A source map is generated when the `sourceMaps` option is set.
+ *
  * @param {Buffer} buffer
+ * @param {Object} options
  */
 
-compressors['.js'] = function (buffer) {
-    var ast = uglify.parse(buffer.toString());
+compressors['.js'] = function (buffer, options) {
+    var ast = uglify.parse(buffer.toString(), { filename: 'input.js' });
     ast.figure_out_scope();
     var compressed_ast = ast.transform(jsCompressor);
     compressed_ast.figure_out_scope();
     compressed_ast.compute_char_frequency();
     compressed_ast.mangle_names();
-    var output = uglify.OutputStream();
+    var map = options && options.sourceMaps ? uglify.SourceMap() : null
+      , output = uglify.OutputStream({ source_map: map });
     compressed_ast.print(output);
-    return output.toString();
+    if (!map) {
+        return output.toString();
+    }
+    return { contents: output.toString(), map: map.toString() };
 };
 
 /**
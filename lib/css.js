@@ -0,0 +1,72 @@
+var format = require('util').format
+  , css = exports;
+
+/**
+ * Match url() references in a stylesheet.
+ */
+
+var urlPattern = /url\(\s*(['"]?)([^'")]+?)\1\s*\)/g;
+
+/**
+ * Match URLs that aren't relative to the stylesheet, e.g. "/foo.png",
+ * "http://example.com/foo.png", "data:..." or "#foo".
+ */
+
+var absoluteUrl = /^(?:[a-z][a-z0-9+.\-]*:|\/|#)/i;
+
+/**
+ * Replace the url() references in a stylesheet.
+ *
+ * @param {String} contents
+ * @param {Function} replace - receives each URL and returns its replacement,
+ *                             or nothing to leave the reference as-is
+ * @return {String} contents
+ */
+
+css.replaceUrls = function (contents, replace) {
+    return contents.replace(urlPattern, function (match, quote, url) {
+        var replacement = replace(url);
+        if (!replacement) {
+            return match;
+        }
+        return format('url(%s%s%s)', quote, replacement, quote);
+    });
+};
+
+/**
+ * Find the url() references in a stylesheet.
+ *
+ * @param {String} contents
+ * @return {Array} urls
+ */
+
+css.findUrls = function (contents) {
+    var urls = [];
+    css.replaceUrls(contents, function (url) {
+        urls.push(url);
+    });
+    return urls;
+};
+
+/**
+ * Check whether a URL is relative to the stylesheet that references it.
+ *
+ * @param {String} url
+ * @return {Boolean}
+ */
+
+css.isRelativeUrl = function (url) {
+    return !absoluteUrl.test(url);
+};
+
+/**
+ * Split a URL into its path and any query string or fragment.
+ *
+ * @param {String} url
+ * @return {Array} [ <path>, <suffix> ]
+ */
+
+css.splitUrl = function (url) {
+    var match = url.match(/^([^?#]*)(.*)$/);
+    return [ match[1], match[2] ];
+};
@@ -0,0 +1,75 @@
+var inherits = require('util').inherits;
+
+/**
+ * The base class for errors raised by the asset manager.
+ *
+ * The details describe where the error occurred:
+ *
+ *   - asset: the asset that was being compiled, e.g. "js/ie8.js"
+ *   - file: the source file that caused the error, e.g. "js/respond.js"
+ *   - phase: the stage that failed, i.e. read, compile, wrap or compress
+ *   - line and column: the location that the compiler or compressor reported
+ *   - cause: the original error
+ *
+ * @param {String} message
+ * @param {Object} details (optional)
+ */
+
+function FergusonError(message, details) {
+    Error.call(this);
+    Error.captureStackTrace(this, this.constructor);
+    details = details || {};
+    this.name = this.constructor.name;
+    this.message = message;
+    this.asset = details.asset || null;
+    this.file = details.file || null;
+    this.phase = details.phase || null;
+    this.cause = details.cause || null;
+    this.line = null;
+    this.column = null;
+    var cause = this.cause || {};
+    if (typeof cause.line === 'number') {
+        this.line = cause.line;
+        if (typeof cause.column === 'number') {
+            this.column = cause.column;
+        } else if (typeof cause.col === 'number') {
+            this.column = cause.col;
+        }
+    }
+}
+
+inherits(FergusonError, Error);
+
+exports.FergusonError = FergusonError;
+
+/**
+ * An asset failed to compile.
+ *
+ * @param {String} message
+ * @param {Object} details (optional)
+ */
+
+function CompileError(message, details) {
+    FergusonError.call(this, message, details);
+}
+
+inherits(CompileError, FergusonError);
+
+exports.CompileError = CompileError;
+
+/**
+ * One or more assets failed to build. The individual errors are available
+ * as `errors`.
+ *
+ * @param {String} message
+ * @param {Array} errors
+ */
+
+function BuildError(message, errors) {
+    FergusonError.call(this, message);
+    this.errors = errors;
+}
+
+inherits(BuildError, FergusonError);
+
+exports.BuildError = BuildError;
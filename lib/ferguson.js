@@ -1,6 +1,7 @@
 var EventEmitter = require('events').EventEmitter
   , inherits = require('util').inherits
   , format = require('util').format
+  , parseUrl = require('url').parse
   , minimatch = require('minimatch')
   , express = require('express')
   , assert = require('assert')
@@ -8,11 +9,24 @@ var EventEmitter = require('events').EventEmitter
   , path = require('path')
   , mkdirp = require('mkdirp')
   , fs = require('fs')
+  , zlib = require('zlib')
+  , mime = require('mime')
   , debug = require('debug')('ferguson')
   , utils = require('./utils')
   , tags = require('./tags')
   , inline = require('./inline')
-  , compressors = require('./compressors');
+  , compressors = require('./compressors')
+  , sourcemaps = require('./sourcemaps')
+  , css = require('./css')
+  , livereload = require('./livereload')
+  , overlay = require('./overlay')
+  , Watcher = require('./watcher').Watcher
+  , CompileCache = require('./cache').CompileCache
+  , WorkerPool = require('./pool').WorkerPool
+  , lock = require('./lock')
+  , errors = require('./errors')
+  , CompileError = errors.CompileError
+  , BuildError = errors.BuildError;
 
 /**
  * Default asset manager options.
@@ -24,6 +38,7 @@ var defaultOptions = {
   , hashLength: 16
   , viewHelper: 'asset'
   , manifest: '.asset-manifest'
+  , buildManifest: '.asset-build-manifest'
   , servePrefix: '/'
   , urlPrefix: ''
   , tags: tags
@@ -32,13 +47,88 @@ var defaultOptions = {
   , compressors: compressors
   , maxAge: 4 * 7 * 24 * 60 * 60 * 1000
   , compress: false
+  , workers: 0
+  , workerTimeout: 60 * 1000
+  , lockTimeout: 60 * 1000
+  , retainVersions: 0
+  , retainFor: 0
   , hotReload: false
+  , compileCache: true
+  , watchDelay: 50
+  , liveReloadPath: '__live-reload'
   , wrapJavascript: false
   , javascriptIIFE: '!function(){%s}();'
   , separateBundles: false
   , html5: false
+  , readOnly: false
+  , sourceMaps: false
+  , rewriteUrls: false
+  , dataUriLimit: 0
+  , precompress: false
+  , integrity: false
+  , nonceLocal: 'nonce'
+  , linkHeaders: false
+  , inlineThreshold: 0
 };
 
+/**
+ * Asset types that support subresource integrity.
+ */
+
+var integrityTypes = [ '.js', '.css' ];
+
+/**
+ * Inline asset types that are subject to a Content-Security-Policy.
+ */
+
+var cspTypes = [ '.js', '.css' ];
+
+/**
+ * Asset options that are specific to the response being rendered.
+ */
+
+var responseOptions = [ 'nonce', 'onInlineHash', 'onResourceHint' ];
+
+/**
+ * The (non-enumerable) property of a response's locals that holds the assets
+ * rendered and queued for the response.
+ */
+
+var queueLocal = '_fergusonAssets';
+
+/**
+ * The attributes that each value of the `load` option adds to a <script> tag.
+ */
+
+var loadAttributes = {
+    async: { async: true }
+  , defer: { defer: true }
+  , module: { type: 'module' }
+};
+
+/**
+ * Precompressed variants of compiled assets, in order of preference.
+ */
+
+var encodings = [
+    { name: 'br', extname: '.br', compress: zlib.brotliCompress }
+  , { name: 'gzip', extname: '.gz', compress: zlib.gzip }
+].filter(function (encoding) {
+    return typeof encoding.compress === 'function';
+});
+
+/**
+ * Compiled asset types that are worth precompressing.
+ */
+
+var precompressible = [ '.js', '.css', '.html', '.svg', '.json', '.xml', '.txt', '.ico' ];
+
+/**
+ * Files written alongside a compiled asset.
+ */
+
+var compiledSuffixes = [ '', '.map', '.gz', '.br' ];
+
 /**
  * Create a new Ferguson instance.
  *
@@ -49,15 +139,27 @@ var defaultOptions = {
 function Ferguson(dir, options) {
     this.dir = dir;
     this.options = utils.mergeDefaults(options, utils.copy(defaultOptions));
+    this.outputDir = this.options.outputDir || dir;
     this.compiledPattern = new RegExp(format('^%s-%s-',
         utils.escapeRegex(this.options.assetPrefix)
       , '[0-9a-f]+?'
     ));
     this.assets = {};
     this.compiledAssets = {};
+    this.compiledTimes = {};
     this.pendingAssets = {};
+    this.assetRequires = {};
+    this.separatedBundles = {};
+    this.compiledSizes = {};
+    this.referencedFiles = {};
+    this.persistedDefinitions = null;
     this.compilingNow = {};
+    this.removingNow = 0;
+    this.removalCallbacks = [];
     this.reverseCompilerIndex = {};
+    this.liveReloadClients = [];
+    this.compileCache = this.options.compileCache ?
+        new CompileCache(this.options.compileCacheDir) : null;
 }
 
 inherits(Ferguson, EventEmitter);
@@ -73,100 +175,535 @@ Ferguson.prototype.init = function () {
         return;
     }
     this.buildReverseCompilerIndex();
+    this.initialised = true;
+    if (this.options.readOnly) {
+        this.loadBuildManifest();
+        return;
+    }
     this.indexAssets();
     this.hashAssets();
     if (this.options.hotReload) {
         this.watchDirectory();
+        this.liveReloadListener = this.notifyLiveReload.bind(this);
+        this.on('changes', this.liveReloadListener);
     }
-    this.initialised = true;
 };
 
 /**
- * Bind the instance to an express application.
+ * Bind the instance to an express (3, 4 or 5) or connect application.
  *
  * @param {Express} app
- * @return {Ferguson} this
  */
 
 Ferguson.prototype.bind = function (app) {
+    app.asset = this.helper();
+    app.use(this.middleware());
+    return this;
+};
+
+/**
+ * Create a connect-style middleware that serves and compiles assets, and
+ * exposes the view helper as `response.asset` and `response.locals.asset`.
+ *
+ * @return {Function} middleware - (request, response, next)
+ */
+
+Ferguson.prototype.middleware = function () {
+    var handler = this.handler()
+      , helperName = this.options.viewHelper
+      , self = this;
+    return function (request, response, next) {
+        response.locals = response.locals || {};
+        response.locals[helperName] = response.asset = self.helper(response.locals, response);
+        handler(request, response, next);
+    };
+};
+
+/**
+ * Create a Koa middleware that serves and compiles assets, and exposes the
+ * view helper as `ctx.asset` and `ctx.state.asset`.
+ *
+ * @return {Function} middleware - (ctx, next)
+ */
+
+Ferguson.prototype.koa = function () {
+    var handler = this.handler()
+      , helperName = this.options.viewHelper
+      , self = this;
+    return function (ctx, next) {
+        ctx.state[helperName] = ctx.asset = self.helper(ctx.state, ctx.res);
+        return new Promise(function (resolve, reject) {
+            //The handler writes the response itself when it serves an asset.
+            //Koa defaults the status code to 404 until a body is set. Aborted
+            //downloads and the live-reload stream never finish, so the
+            //middleware is also done when the connection closes
+            var status = ctx.res.statusCode;
+            function served() {
+                ctx.res.removeListener('finish', served);
+                ctx.res.removeListener('close', served);
+                ctx.respond = false;
+                resolve(false);
+            }
+            ctx.res.statusCode = 200;
+            ctx.res.once('finish', served);
+            ctx.res.once('close', served);
+            handler(ctx.req, ctx.res, function (err) {
+                ctx.res.removeListener('finish', served);
+                ctx.res.removeListener('close', served);
+                ctx.res.statusCode = status;
+                if (err) {
+                    return reject(err);
+                }
+                resolve(true);
+            });
+        }).then(function (passed) {
+            return passed ? next() : null;
+        });
+    };
+};
+
+/**
+ * Create a standalone request handler that serves and compiles assets.
+ *
+ * Requests that don't match an asset are passed to `next`. When `next` isn't
+ * provided, e.g. when using the handler with `http.createServer()`, a 404 or
+ * 500 response is sent instead.
+ *
+ * @return {Function} handler - (request, response, next)
+ */
+
+Ferguson.prototype.handler = function () {
     this.init();
 
-    //Serve existing assets using the express static middleware
+    var prefix = this.options.servePrefix.replace(/\/+$/, '')
+      , self = this;
+
+    //Serve existing assets using the static middleware. Compiled assets are
+    //served from the output directory
     var staticAssets = express.static(this.dir, {
         maxAge: this.options.maxAge
     });
-    app.use(this.options.servePrefix, staticAssets);
+    var staticCompiledAssets = this.outputDir === this.dir ? staticAssets :
+        express.static(this.outputDir, { maxAge: this.options.maxAge });
 
-    //Bind view helpers
-    var helperName = this.options.viewHelper
-      , helper = app.asset = this.asset.bind(this);
-    helper.path = this.assetPath.bind(this);
-    helper.url = this.assetUrl.bind(this);
-    helper.inline = this.assetInline.bind(this);
-    Object.defineProperty(helper, 'prefix', {
-        get: this.assetPrefix.bind(this)
-    });
-    app.use(function (request, response, next) {
-        response.locals[helperName] = response.asset = helper;
-        next();
-    });
+    //Serve precompressed variants of compiled assets to clients that accept them
+    function precompressed(request, response, next) {
+        if (!self.options.precompress || request._precompressed ||
+                !self.isCompiledAsset(request.url)) {
+            return next();
+        }
+        var url = parseUrl(request.url)
+          , header = request.headers['accept-encoding'];
+        if (precompressible.indexOf(path.extname(url.pathname)) === -1) {
+            return next();
+        }
+        response.setHeader('Vary', 'Accept-Encoding');
+        var accepted = encodings.filter(function (encoding) {
+            return utils.acceptsEncoding(header, encoding.name);
+        });
+        async.detectSeries(accepted, function (encoding, callback) {
+            fs.stat(path.join(self.outputDir, url.pathname + encoding.extname), function (err) {
+                callback(!err);
+            });
+        }, function (encoding) {
+            if (encoding) {
+                debug('Serving the %s variant of %s', encoding.name, url.pathname);
+                var type = mime.lookup(url.pathname)
+                  , charset = mime.charsets.lookup(type);
+                request._precompressed = true;
+                response.setHeader('Content-Encoding', encoding.name);
+                response.setHeader('Content-Type', type + (charset ? '; charset=' + charset : ''));
+                request.url = url.pathname + encoding.extname + (url.search || '');
+            }
+            next();
+        });
+    }
+
+    function serve(request, response, next) {
+        precompressed(request, response, function () {
+            if (self.isCompiledAsset(request.url)) {
+                return staticCompiledAssets(request, response, next);
+            }
+            staticAssets(request, response, next);
+        });
+    }
 
     //Compile assets. Concurrent requests to the same asset are queued while
     //the first request does the actual compilation
-    var self = this;
-    app.use(this.options.servePrefix, function (request, response, next) {
-        if (!self.isCompiledAsset(request.url)) {
-            return next();
+    function compile(request, callback) {
+        if (self.options.readOnly || !self.isCompiledAsset(request.url)) {
+            return callback(null, false);
         }
         var canonical = self.getCanonicalPath(request.url).slice(1)
-          , asset = self.pendingAssets[canonical];
-        if (!asset || path.join(self.options.servePrefix, request.url) !== asset.path) {
-            return next();
+          , asset = self.pendingAssets[canonical] || self.restoreDefinition(canonical);
+        if (!asset || path.join(self.options.servePrefix, parseUrl(request.url).pathname) !==
+                asset.path) {
+            return callback(null, false);
+        }
+        if (canonical in self.compilingNow) {
+            return self.compilingNow[canonical].push(callback);
         }
         debug('Compiling %s (%s)', request.url, canonical);
-        if (!(canonical in self.compilingNow)) {
-            self.compilingNow[canonical] = [];
-            request._canonicalAssetName = canonical;
-            self.compileAsset(asset, next);
-        } else {
-            self.compilingNow[canonical].push(next);
+        self.compilingNow[canonical] = [ callback ];
+        self.compileAssetLocked(asset, function (err) {
+            var pendingRequests = self.compilingNow[canonical];
+            delete self.compilingNow[canonical];
+            if (err) {
+                debug('Failed to compile %s (%s)', request.url, canonical);
+                //Let error trackers see the failure without crashing apps
+                //that don't listen for errors
+                if (self.listeners('error').length) {
+                    self.emit('error', err);
+                }
+            } else {
+                debug('Wrote compiled %s (%s) to disk', request.url, canonical);
+            }
+            pendingRequests.forEach(function (resume) {
+                resume(err, true);
+            });
+        });
+    }
+
+    return function (request, response, next) {
+        next = next || function (err) {
+            response.statusCode = err ? 500 : 404;
+            response.end();
+        };
+        var url = request.url;
+        if (self.options.hotReload && parseUrl(url).pathname === self.getLiveReloadUrl()) {
+            return self.liveReload(request, response);
         }
-    });
+        if (prefix) {
+            if (url.indexOf(prefix) !== 0 || !/^(?:[\/?]|$)/.test(url.charAt(prefix.length))) {
+                return next();
+            }
+            request.url = '/' + url.slice(prefix.length).replace(/^\//, '');
+        }
+
+        //Restore the original URL before passing the request on
+        function done(err) {
+            request.url = url;
+            next(err);
+        }
+
+        serve(request, response, function (err) {
+            if (err) {
+                return done(err);
+            }
+            compile(request, function (err, compiled) {
+                var extname = path.extname(parseUrl(request.url).pathname);
+                if (err && self.options.hotReload && extname in overlay.formatters) {
+                    debug('Serving an error overlay for %s', request.url);
+                    request.url = url;
+                    return overlay.send(response, extname, err);
+                }
+                if (err || !compiled) {
+                    return done(err);
+                }
+                serve(request, response, done);
+            });
+        });
+    };
+};
+
+/**
+ * Create a view helper.
+ *
+ * When the locals of a response are provided, the helper adds the nonce found
+ * in `locals[options.nonceLocal]` to inline scripts and styles, and keeps
+ * track of the hashes of inline blocks for use in a Content-Security-Policy.
+ * The assets that an asset requires, and the assets queued by `require()`,
+ * are rendered once per response.
+ * When the response is provided and the `linkHeaders` option is set, each
+ * asset that's rendered is also added to the response's `Link` header.
+ *
+ * @param {Object} locals (optional)
+ * @param {ServerResponse} response (optional)
+ * @return {Function} helper
+ */
 
-    //Resume each request that was waiting on compilation to finish
-    function resume(next) {
-        next();
+Ferguson.prototype.helper = function (locals, response) {
+    this.init();
+    var hashes = { '.js': [], '.css': [] }
+      , self = this;
+    function onInlineHash(extname, hash) {
+        if (hashes[extname].indexOf(hash) === -1) {
+            hashes[extname].push(hash);
+        }
     }
-    app.use(this.options.servePrefix, function (request, response, next) {
-        if (!request._canonicalAssetName) {
-            return next();
+    function onResourceHint(url, rel, attributes) {
+        if (response.headersSent) {
+            return;
+        }
+        var link = formatLink(url, rel, attributes)
+          , links = [].concat(response.getHeader('Link') || []);
+        if (links.indexOf(link) === -1) {
+            links.push(link);
+            response.setHeader('Link', links);
+        }
+    }
+    function withLocals(options) {
+        if (!locals) {
+            return options;
+        }
+        options = utils.copy(options || {});
+        var nonce = locals[self.options.nonceLocal];
+        if (nonce && !('nonce' in options)) {
+            options.nonce = nonce;
+        }
+        options.onInlineHash = onInlineHash;
+        if (response && self.options.linkHeaders) {
+            options.onResourceHint = onResourceHint;
         }
-        var canonical = request._canonicalAssetName
-          , pendingRequests = self.compilingNow[canonical];
-        delete self.compilingNow[canonical];
-        debug('Wrote compiled %s (%s) to disk', request.url, canonical);
-        pendingRequests.forEach(resume);
-        next();
+        return options;
+    }
+    var helper = function (identifier, options) {
+        if (!locals) {
+            return self.asset(identifier, options);
+        }
+        return render(identifier, options, true);
+    };
+    helper.liveReload = function (options) {
+        return self.liveReloadScript(withLocals(options));
+    };
+    helper.preload = function (identifier, options) {
+        return self.assetHint('preload', identifier, withLocals(options));
+    };
+    helper.prefetch = function (identifier, options) {
+        return self.assetHint('prefetch', identifier, withLocals(options));
+    };
+    helper.path = this.assetPath.bind(this);
+    helper.url = this.assetUrl.bind(this);
+    helper.inline = this.assetInline.bind(this);
+    helper.integrity = this.assetIntegrity.bind(this);
+    Object.defineProperty(helper, 'prefix', {
+        get: this.assetPrefix.bind(this)
     });
 
-    //Handle compilation failures
-    app.use(this.options.servePrefix, function (err, request, response, next) {
-        if (!request._canonicalAssetName) {
-            return next(err);
+    /**
+     * Get the hashes of the inline blocks rendered so far.
+     *
+     * @param {String} type (optional) - e.g. "js" or "css"
+     * @return {Array} hashes - e.g. [ "sha256-<base64>", ... ]
+     */
+
+    helper.inlineHashes = function (type) {
+        if (type) {
+            return hashes[utils.toExtname(type)].slice();
+        }
+        return hashes['.js'].concat(hashes['.css']);
+    };
+
+    if (!locals) {
+        return helper;
+    }
+
+    //Assets rendered for this response, and the assets queued by require()
+    var state = getAssetQueue(locals);
+
+    /**
+     * Render the tags of an asset and the assets it requires, skipping the
+     * required assets that were already rendered for this response. Assets
+     * that are rendered explicitly are output every time.
+     *
+     * @param {String} identifier
+     * @param {Object} options (optional)
+     * @param {Boolean} explicit (optional) - whether the template asked for
+     *                  the asset directly rather than through `flush()`
+     * @return {String} html
+     */
+
+    function render(identifier, options, explicit) {
+        identifier = identifier.toLowerCase();
+        if (state.rendered[identifier] && !explicit) {
+            return '';
+        }
+        if (options && options.requires) {
+            self.assetRequires[identifier] = [].concat(options.requires);
+        }
+        var required;
+        try {
+            required = self.resolveRequires(identifier);
+        } catch (err) {
+            self.emit('error', err);
+            return '';
+        }
+        var shared = getResponseOptions(withLocals(options));
+        return required.concat(identifier).filter(function (required) {
+            if (state.rendered[required] && !(explicit && required === identifier)) {
+                return false;
+            }
+            state.rendered[required] = true;
+            return true;
+        }).map(function (required) {
+            if (required === identifier) {
+                return self.asset(identifier, withLocals(options), false, true);
+            }
+            return self.asset(required, utils.copy(shared), false, true);
+        }).filter(Boolean).join('\n');
+    }
+
+    /**
+     * Queue an asset to be rendered by `flush()`.
+     *
+     * @param {String} identifier
+     * @param {Object} options (optional) - as for `asset()`
+     * @return {String} an empty string, so that templates can output the result
+     */
+
+    helper.require = function (identifier, options) {
+        identifier = identifier.toLowerCase();
+        var queued = state.required.some(function (asset) {
+            return asset.identifier === identifier;
+        });
+        if (!queued && !state.rendered[identifier]) {
+            state.required.push({ identifier: identifier, options: options });
         }
-        var canonical = request._canonicalAssetName
-          , pendingRequests = self.compilingNow[canonical];
-        delete self.compilingNow[canonical];
-        debug('Failed to compile %s (%s)', request.url, canonical);
-        pendingRequests.forEach(function (resume) {
-            resume(err);
+        return '';
+    };
+
+    /**
+     * Render the tags of the queued assets of a type.
+     *
+     * @param {String} type - e.g. "js" or "css"
+     * @return {String} html
+     */
+
+    helper.flush = function (type) {
+        var extname = utils.toExtname(type)
+          , tags = [];
+        state.required = state.required.filter(function (asset) {
+            var assetExtname = path.extname(asset.identifier)
+              , compiler = self.options.compilers[assetExtname];
+            if ((compiler ? compiler.output : assetExtname) !== extname) {
+                return true;
+            }
+            var html = render(asset.identifier, asset.options);
+            if (html) {
+                tags.push(html);
+            }
+            return false;
         });
-        next(err);
+        return tags.join('\n');
+    };
+    return helper;
+};
+
+/**
+ * Get the URL of the live-reload event stream.
+ *
+ * @return {String}
+ */
+
+Ferguson.prototype.getLiveReloadUrl = function () {
+    return path.join(this.options.servePrefix, this.options.liveReloadPath);
+};
+
+/**
+ * Generate a <script> tag for the live-reload client, or nothing when the
+ * hotReload option isn't set.
+ *
+ * @param {Object} options (optional) - supports `attributes` and `nonce`
+ * @return {String} html
+ */
+
+Ferguson.prototype.liveReloadScript = function (options) {
+    if (!this.options.hotReload) {
+        return '';
+    }
+    options = options || {};
+    var script = livereload.script(this.getLiveReloadUrl())
+      , attributes = utils.copy(options.attributes || {});
+    if (options.nonce) {
+        attributes.nonce = options.nonce;
+    }
+    if (options.onInlineHash) {
+        options.onInlineHash('.js', utils.integrity(script, 'sha256'));
+    }
+    return this.options.inline['.js']('livereload.js', script, this.options, attributes);
+};
+
+/**
+ * Accept a live-reload client.
+ *
+ * @param {IncomingMessage} request
+ * @param {ServerResponse} response
+ */
+
+Ferguson.prototype.liveReload = function (request, response) {
+    var clients = this.liveReloadClients;
+    debug('Accepted a live-reload client');
+    livereload.open(response);
+    clients.push(response);
+    request.on('close', function () {
+        var index = clients.indexOf(response);
+        if (index >= 0) {
+            clients.splice(index, 1);
+        }
     });
+};
 
-    app.use(this.options.servePrefix, staticAssets);
+/**
+ * Tell live-reload clients about a batch of changes. Stylesheets that include
+ * the changed files are swapped in place, other changes reload the page.
+ *
+ * @param {Array} files
+ */
 
-    return this;
+Ferguson.prototype.notifyLiveReload = function (files) {
+    if (!this.liveReloadClients.length) {
+        return;
+    }
+    var stylesheets = {}, reload = false
+      , self = this;
+
+    //Deleted files and files that aren't only part of (non-inline) stylesheets
+    //reload the page
+    files.forEach(function (filename) {
+        var name = filename.toLowerCase()
+          , found = false
+          , identifier, asset;
+        function includesFile(file) {
+            return file.name.toLowerCase() === name;
+        }
+        if (!(name in self.assets)) {
+            reload = true;
+            return;
+        }
+        for (identifier in self.pendingAssets) {
+            asset = self.pendingAssets[identifier];
+            if (!asset.assets.some(includesFile) && !asset.dependencies.some(includesFile)) {
+                continue;
+            }
+            found = true;
+            if (path.extname(asset.path) !== '.css' || asset.options.inline) {
+                reload = true;
+            } else {
+                stylesheets[identifier] = asset.path;
+            }
+        }
+        if (!found) {
+            reload = true;
+        }
+    });
+    var events = [];
+    if (reload) {
+        events.push([ 'reload', { files: files } ]);
+    } else {
+        Object.keys(stylesheets).forEach(function (identifier) {
+            events.push([ 'css', {
+                path: stylesheets[identifier]
+              , url: self.assetUrl(identifier)
+            }]);
+        });
+    }
+    debug('Notifying %d live-reload client(s) of changes to %s',
+        this.liveReloadClients.length, files.join(', '));
+    this.liveReloadClients.forEach(function (response) {
+        events.forEach(function (event) {
+            livereload.send(response, event[0], event[1]);
+        });
+    });
 };
 
 /**
@@ -177,90 +714,125 @@ Ferguson.prototype.bind = function (app) {
  */
 
 Ferguson.prototype.compileAsset = function (file, callback) {
-    var buffers = [], self = this;
+    var members = [], self = this;
     async.eachSeries(file.assets, function (asset, next) {
         var assetPath = path.join(self.dir, asset.name)
-          , extname = path.extname(asset.name);
+          , extname = path.extname(asset.name)
+          , compiler = self.options.compilers[extname]
+          , cacheKey = compiler && self.getCompileCacheKey(file, asset, compiler);
+        function add(compiled) {
+            compiled = result(compiled);
+            if (cacheKey) {
+                self.compileCache.set(asset.name, cacheKey, compiled);
+            }
+            members.push({
+                path: assetPath
+              , contents: self.postProcess(file, asset, compiled)
+              , map: compiled.map
+            });
+        }
+        //Describe a failure to read or compile the file
+        function fail(phase, err) {
+            var message = format('Failed to %s file "%s": %s', phase, asset.name, err.message);
+            return self.compileError(file, message, {
+                file: asset.name
+              , phase: phase
+              , cause: err
+            });
+        }
+        var cached = cacheKey && self.compileCache.get(asset.name, cacheKey);
+        if (cached) {
+            debug('Using the cached compilation of %s', asset.name);
+            add(cached);
+            return next();
+        }
         debug('Loading file %s', asset.name);
         fs.readFile(assetPath, function (err, buffer) {
             if (err) {
-                var message = format('Failed to read file "%s": %s',
-                    asset.name, err.message);
-                return next(new Error(message));
+                return next(fail('read', err));
             }
-            var compiler = self.options.compilers[extname];
             if (!compiler) {
-                buffers.push(buffer);
+                add(buffer);
                 return next();
             }
             //Is the compiler synchronous?
             if (compiler.compile.length <= 3) {
                 debug('Using synchronous %s compiler to compile %s', extname, asset.name);
                 try {
-                    var compiled = compiler.compile(assetPath, buffer, self.options);
-                    buffers.push(compiled);
-                    next();
+                    add(compiler.compile(assetPath, buffer, self.options));
                 } catch (err) {
-                    var message = format('Failed to compile file "%s": %s',
-                        asset.name, err.message);
-                    next(new Error(message));
+                    return next(fail('compile', err));
                 }
+                next();
             } else {
                 debug('Using asynchronous %s compiler to compile %s', extname, asset.name);
                 compiler.compile(assetPath, buffer, self.options, function (err, compiled) {
                     if (err) {
-                        var message = format('Failed to compile file "%s": %s',
-                            asset.name, err.message);
-                        return next(new Error(message));
+                        return next(fail('compile', err));
                     }
-                    buffers.push(compiled);
+                    add(compiled);
                     next();
                 });
             }
         });
     }, function (err) {
         if (err) return callback(err);
-        var buffer;
-        if (buffers.length > 1) {
-            buffer = new Buffer(buffers.map(function (content) {
-                return content.toString();
-            }).join(''));
-        } else {
-            buffer = buffers[0];
+        var outputPath = self.getOutputPath(file)
+          , extname = path.extname(outputPath)
+          , bundle, message;
+        try {
+            bundle = self.bundleMembers(file, members, self.options.sourceMaps);
+        } catch (err) {
+            return callback(err);
         }
-        var outputPath = path.join(self.dir, file.path)
-          , outputDir = path.dirname(outputPath)
-          , extname = path.extname(outputPath);
-        if (extname === '.js' && self.options.wrapJavascript) {
-            buffer = format(self.options.javascriptIIFE, buffer);
+        function write(compressed) {
+            var output;
+            try {
+                output = self.applyCompressedMap(file, result(compressed), bundle.map);
+            } catch (err) {
+                return callback(err);
+            }
+            self.writeCompiledAsset(outputPath, output.contents, output.map, callback);
         }
         var compressor = self.options.compressors[extname];
-        mkdirp(outputDir, function () {
+        mkdirp(path.dirname(outputPath), function () {
             if (!self.options.compress || !compressor) {
-                return fs.writeFile(outputPath, buffer, { encoding: null }, callback);
+                return self.writeCompiledAsset(outputPath, bundle.contents, bundle.map, callback);
+            }
+            //Built-in compressors can run in the worker pool
+            if (self.options.workers && compressor === compressors[extname]) {
+                debug('Compressing the result with the %s compressor in a worker', extname);
+                return self.getWorkerPool().run({
+                    extname: extname
+                  , contents: bundle.contents.toString()
+                  , options: { sourceMaps: self.options.sourceMaps }
+                }, function (err, compressed) {
+                    if (err) {
+                        message = format('Failed to compress asset "%s": %s',
+                            file.path, err.message);
+                        return callback(self.compileError(file, message, { phase: 'compress', cause: err }));
+                    }
+                    write(compressed);
+                });
             }
             //In the compressor synchronous?
             if (compressor.length <= 2) {
-                debug('Compressing the result with the synchronous %s compressor', extname);
+                var output;
                 try {
-                    var compressed = compressor(buffer, self.options)
-                      , encoding = !Buffer.isBuffer(compressed) ? 'utf8' : null;
-                    return fs.writeFile(outputPath, compressed, { encoding: encoding }, callback);
+                    output = self.compressSync(file, bundle);
                 } catch (err) {
-                    var message = format('Failed to compress asset "%s": %s',
-                        file.path, err.message);
-                    callback(new Error(message));
+                    return callback(err);
                 }
+                self.writeCompiledAsset(outputPath, output.contents, output.map, callback);
             } else {
                 debug('Compressing the result with the asynchronous %s compressor', extname);
-                compressor(buffer, self.options, function (err, compressed) {
+                compressor(bundle.contents, self.options, function (err, compressed) {
                     if (err) {
-                        var message = format('Failed to compress asset "%s": %s',
+                        message = format('Failed to compress asset "%s": %s',
                             file.path, err.message);
-                        return callback(new Error(message));
+                        return callback(self.compileError(file, message, { phase: 'compress', cause: err }));
                     }
-                    var encoding = !Buffer.isBuffer(compressed) ? 'utf8' : null;
-                    return fs.writeFile(outputPath, compressed, { encoding: encoding }, callback);
+                    write(compressed);
                 });
             }
         });
@@ -268,229 +840,1371 @@ Ferguson.prototype.compileAsset = function (file, callback) {
 };
 
 /**
- * Compile an asset synchronously.
+ * Concatenate the compiled members of an asset and wrap javascript.
  *
  * @param {Object} file
- * @return {Buffer}
+ * @param {Array} members - [{ path: <path>, contents: <contents>, map: <map> }, ...]
+ * @param {Boolean} sourceMap - whether to generate a source map of the bundle
+ * @return {Object} { contents: <contents>, map: <map> }
+ * @throws {CompileError}
  */
 
-Ferguson.prototype.compileAssetSync = function (file) {
-    var buffers = [], self = this;
-    file.assets.forEach(function (asset) {
-        var assetPath = path.join(self.dir, asset.name)
-          , extname = path.extname(asset.name);
-        debug('Loading file %s', asset.name);
-        var buffer;
-        try {
-            buffer = fs.readFileSync(assetPath);
-        } catch (err) {
-            var message = format('Failed to read file "%s": %s',
-                asset.name, err.message);
-            throw new Error(message);
-        }
-        var compiler = self.options.compilers[extname];
-        if (!compiler) {
-            buffers.push(buffer);
-            return;
-        }
-        if (compiler.compile.length === 4) {
-            var message = format('Cannot compile "%s" synchronously because ' +
-                'the %s compiler is async', asset.name, compiler.extname);
-            throw new Error(message);
-        }
-        debug('Using synchronous %s compiler to compile %s', extname, asset.name);
-        try {
-            var compiled = compiler.compile(assetPath, buffer, self.options);
-            buffers.push(compiled);
-        } catch (err) {
-            var message = format('Failed to compile file "%s": %s',
-                asset.name, err.message);
-            throw new Error(message);
-        }
-    });
-    var buffer;
-    if (buffers.length > 1) {
-        buffer = new Buffer(buffers.map(function (content) {
-            return content.toString();
+Ferguson.prototype.bundleMembers = function (file, members, sourceMap) {
+    var contents;
+    if (members.length > 1) {
+        contents = new Buffer(members.map(function (member) {
+            return member.contents.toString();
         }).join(''));
     } else {
-        buffer = buffers[0];
+        contents = members[0].contents;
     }
-    var extname = path.extname(file.path);
-    if (extname === '.js' && self.options.wrapJavascript) {
-        buffer = format(self.options.javascriptIIFE, buffer);
+    var outputPath = this.getOutputPath(file)
+      , extname = path.extname(outputPath)
+      , prefix = '', map = null;
+    if (extname === '.js' && this.options.wrapJavascript) {
+        prefix = this.options.javascriptIIFE.split('%s')[0];
+        contents = format(this.options.javascriptIIFE, contents);
     }
-    var compressor = self.options.compressors[extname];
-    if (self.options.compress && compressor) {
-        if (compressor.length === 3) {
-            var message = format('Cannot compress "%s" synchronously because ' +
-                'the %s compressor is async', file.path, extname);
-            throw new Error(message);
-        }
-        debug('Compressing the result with the synchronous %s compressor', extname);
+    if (sourceMap && extname in sourcemaps.comments) {
+        debug('Generating a source map for %s', file.path);
         try {
-            buffer = compressor(buffer, self.options);
-            if (!Buffer.isBuffer(buffer)) {
-                buffer = new Buffer(buffer);
-            }
+            //Sources are relative to the URL of the asset
+            map = bundleSourceMap(path.join(this.dir, path.relative(this.outputDir, outputPath)),
+                members, prefix);
         } catch (err) {
-            var message = format('Failed to compress asset "%s": %s',
+            var message = format('Failed to generate a source map for asset "%s": %s',
                 file.path, err.message);
-            throw new Error(message);
+            throw this.compileError(file, message, { phase: 'wrap', cause: err });
         }
     }
-    return buffer;
+    return { contents: contents, map: map };
 };
 
 /**
- * Index the directory of static assets.
- */
+ * Compress a bundle with a synchronous compressor.
+ *
+ * @param {Object} file
+ * @param {Object} bundle - see bundleMembers()
+ * @return {Object} { contents: <contents>, map: <map> }
+ * @throws {CompileError}
+ */
+
+Ferguson.prototype.compressSync = function (file, bundle) {
+    var extname = path.extname(file.path)
+      , compressor = this.options.compressors[extname]
+      , message;
+    if (!this.options.compress || !compressor) {
+        return bundle;
+    }
+    if (compressor.length === 3) {
+        message = format('Cannot compress "%s" synchronously because ' +
+            'the %s compressor is async', file.path, extname);
+        throw this.compileError(file, message, { phase: 'compress' });
+    }
+    debug('Compressing the result with the synchronous %s compressor', extname);
+    var compressed;
+    try {
+        compressed = result(compressor(bundle.contents, this.options));
+    } catch (err) {
+        message = format('Failed to compress asset "%s": %s', file.path, err.message);
+        throw this.compileError(file, message, { phase: 'compress', cause: err });
+    }
+    return this.applyCompressedMap(file, compressed, bundle.map);
+};
+
+/**
+ * Chain the source map of a compressor's output onto the map of the bundle.
+ *
+ * @param {Object} file
+ * @param {Object} compressed - see result()
+ * @param {Object} map - the map of the bundle, if any
+ * @return {Object} { contents: <contents>, map: <map> }
+ * @throws {CompileError}
+ */
+
+Ferguson.prototype.applyCompressedMap = function (file, compressed, map) {
+    var compressedMap = null;
+    if (map && compressed.map) {
+        try {
+            compressedMap = sourcemaps.apply(compressed.map, map);
+        } catch (err) {
+            var message = format('Failed to generate a source map for asset "%s": %s',
+                file.path, err.message);
+            throw this.compileError(file, message, { phase: 'compress', cause: err });
+        }
+    }
+    return { contents: compressed.contents, map: compressedMap };
+};
+
+/**
+ * Check whether an asset's compilers and compressor are synchronous.
+ *
+ * @param {Object} file
+ * @return {Boolean}
+ */
+
+Ferguson.prototype.canCompileSync = function (file) {
+    var compressor = this.options.compressors[path.extname(file.path)]
+      , self = this;
+    if (this.options.compress && compressor && compressor.length === 3) {
+        return false;
+    }
+    return file.assets.every(function (asset) {
+        var compiler = self.options.compilers[path.extname(asset.name)];
+        return !compiler || compiler.compile.length !== 4;
+    });
+};
+
+/**
+ * Create an error describing a failure to compile an asset.
+ *
+ * @param {Object} file - the asset being compiled
+ * @param {String} message
+ * @param {Object} details - see FergusonError
+ * @return {CompileError}
+ */
+
+Ferguson.prototype.compileError = function (file, message, details) {
+    details.asset = this.getCanonicalPath(path.relative(this.options.servePrefix, file.path));
+    return new CompileError(message, details);
+};
+
+/**
+ * Compile an asset unless another process is already compiling it, in which
+ * case wait for that process to finish.
+ *
+ * Processes coordinate using a lock file next to the compiled asset.
+ *
+ * @param {Object} file
+ * @param {Function} compile (optional) - (file, callback), defaults to
+ *                   compileAsset()
+ * @param {Function} callback
+ */
+
+Ferguson.prototype.compileAssetLocked = function (file, compile, callback) {
+    if (!callback) {
+        callback = compile;
+        compile = this.compileAsset.bind(this);
+    }
+    var outputPath = this.getOutputPath(file)
+      , lockPath = outputPath + '.lock'
+      , self = this;
+    lock.acquire(lockPath, this.options.lockTimeout, function (err, acquired) {
+        if (err) {
+            var message = format('Failed to lock asset "%s": %s', file.path, err.message);
+            return callback(new Error(message));
+        }
+        fs.stat(outputPath, function (err) {
+            var compiled = !err;
+            if (!acquired) {
+                //Compile the asset ourselves if the other process failed
+                if (!compiled) {
+                    return self.compileAssetLocked(file, compile, callback);
+                }
+                debug('%s was compiled by another process', file.path);
+                return callback();
+            }
+            if (compiled) {
+                return lock.release(lockPath, function () {
+                    callback();
+                });
+            }
+            compile(file, function (err) {
+                lock.release(lockPath, function () {
+                    callback(err);
+                });
+            });
+        });
+    });
+};
+
+/**
+ * Get the pool of workers that compress assets, starting it if necessary.
+ *
+ * @return {WorkerPool}
+ */
+
+Ferguson.prototype.getWorkerPool = function () {
+    if (!this.workerPool) {
+        this.workerPool = new WorkerPool(path.join(__dirname, 'worker.js'), {
+            size: this.options.workers
+          , timeout: this.options.workerTimeout
+        });
+    }
+    return this.workerPool;
+};
+
+/**
+ * Write a compiled asset and its source map (if any) to disk.
+ *
+ * @param {String} outputPath
+ * @param {String|Buffer} contents
+ * @param {Object} map (optional)
+ * @param {Function} callback
+ */
+
+Ferguson.prototype.writeCompiledAsset = function (outputPath, contents, map, callback) {
+    var self = this;
+    contents = this.getCompiledContents(outputPath, contents, map);
+    function write() {
+        var encoding = !Buffer.isBuffer(contents) ? 'utf8' : null;
+        utils.writeFileAtomic(outputPath, contents, { encoding: encoding }, function (err) {
+            if (err) return callback(err);
+            self.writePrecompressed(outputPath, contents, callback);
+        });
+    }
+    if (!map) {
+        return write();
+    }
+    utils.writeFileAtomic(outputPath + '.map', JSON.stringify(map), function (err) {
+        if (err) return callback(err);
+        write();
+    });
+};
+
+/**
+ * Get the contents of a compiled asset as they're written to disk, i.e. with
+ * a comment that references the asset's source map (if any).
+ *
+ * @param {String} outputPath
+ * @param {String|Buffer} contents
+ * @param {Object} map (optional)
+ * @return {String|Buffer} contents
+ */
+
+Ferguson.prototype.getCompiledContents = function (outputPath, contents, map) {
+    if (!map) {
+        return contents;
+    }
+    var comment = sourcemaps.comment(path.extname(outputPath), path.basename(outputPath) + '.map');
+    return contents.toString() + '\n' + comment;
+};
+
+/**
+ * Write gzip and brotli compressed variants of a compiled asset alongside it,
+ * e.g. "asset-<hash>-foo.js.gz".
+ *
+ * @param {String} outputPath
+ * @param {String|Buffer} contents
+ * @param {Function} callback
+ */
+
+Ferguson.prototype.writePrecompressed = function (outputPath, contents, callback) {
+    if (!this.options.precompress ||
+            precompressible.indexOf(path.extname(outputPath)) === -1) {
+        return callback();
+    }
+    if (!Buffer.isBuffer(contents)) {
+        contents = new Buffer(contents);
+    }
+    async.eachSeries(encodings, function (encoding, next) {
+        debug('Writing the %s variant of %s', encoding.name, outputPath);
+        encoding.compress(contents, function (err, compressed) {
+            if (err) return next(err);
+            utils.writeFileAtomic(outputPath + encoding.extname, compressed, next);
+        });
+    }, callback);
+};
+
+/**
+ * Post-process a compiled file before it's added to the asset.
+ *
+ * @param {Object} file - the asset being compiled
+ * @param {Object} asset - the file that was compiled
+ * @param {Object} compiled - see result()
+ * @return {String|Buffer} contents
+ */
+
+Ferguson.prototype.postProcess = function (file, asset, compiled) {
+    var dependencies = (compiled.dependencies || []).slice()
+      , contents = compiled.contents;
+    if (path.extname(file.path) === '.css') {
+        if (this.options.dataUriLimit) {
+            contents = this.embedUrls(asset, contents, dependencies);
+        }
+        if (this.options.rewriteUrls) {
+            contents = this.rewriteUrls(asset, contents, dependencies);
+        }
+    }
+    this.recordDependencies(file, asset, dependencies);
+    return contents;
+};
+
+/**
+ * Rewrite relative url() references in a stylesheet to the URLs of the
+ * assets they reference so that they're cache-busted too.
+ *
+ * @param {Object} asset - the file that the stylesheet was compiled from
+ * @param {String|Buffer} contents
+ * @param {Array} dependencies - the paths of referenced files are added here
+ * @return {String} contents
+ */
+
+Ferguson.prototype.rewriteUrls = function (asset, contents, dependencies) {
+    var dir = path.dirname(asset.name), self = this;
+    return css.replaceUrls(contents.toString(), function (url) {
+        if (!css.isRelativeUrl(url)) {
+            return;
+        }
+        var parts = css.splitUrl(url)
+          , name = path.join(dir, parts[0]);
+        if (!parts[0] || !(name.toLowerCase() in self.assets)) {
+            debug('Leaving url(%s) in %s as-is', url, asset.name);
+            return;
+        }
+        var assetUrl = self.assetUrl(name);
+        if (!assetUrl) {
+            return;
+        }
+        dependencies.push(path.join(self.dir, name));
+        return assetUrl + parts[1];
+    });
+};
+
+/**
+ * Replace relative url() references in a stylesheet to files that are smaller
+ * than the `dataUriLimit` option with data URIs.
+ *
+ * @param {Object} asset - the file that the stylesheet was compiled from
+ * @param {String|Buffer} contents
+ * @param {Array} dependencies - the paths of embedded files are added here
+ * @return {String} contents
+ */
+
+Ferguson.prototype.embedUrls = function (asset, contents, dependencies) {
+    var dir = path.dirname(asset.name), self = this;
+    return css.replaceUrls(contents.toString(), function (url) {
+        if (!css.isRelativeUrl(url)) {
+            return;
+        }
+        //Data URIs can't have a query string but they can have a fragment
+        var parts = css.splitUrl(url)
+          , name = path.join(dir, parts[0])
+          , filename = path.join(self.dir, name)
+          , buffer;
+        if (!parts[0] || parts[1].charAt(0) === '?' || !(name.toLowerCase() in self.assets)) {
+            return;
+        }
+        try {
+            if (fs.statSync(filename).size >= self.options.dataUriLimit) {
+                return;
+            }
+            buffer = fs.readFileSync(filename);
+        } catch (err) {
+            debug('Leaving url(%s) in %s as-is: %s', url, asset.name, err.message);
+            return;
+        }
+        debug('Embedding %s in %s', name, asset.name);
+        dependencies.push(filename);
+        return format('data:%s;base64,%s%s', mime.lookup(name), buffer.toString('base64'), parts[1]);
+    });
+};
+
+/**
+ * Find the files that a stylesheet references with relative url()s so that
+ * they contribute to the cache-busting hash before the stylesheet has been
+ * compiled. The references are found once for each version of a file.
+ *
+ * @param {Object} asset - an entry of the asset index
+ * @return {Array} names - the names of the referenced files in the index
+ */
+
+Ferguson.prototype.getReferencedFiles = function (asset) {
+    var name = asset.name.toLowerCase()
+      , cached = this.referencedFiles[name];
+    if (cached && cached.hash === asset.hash) {
+        return cached.names;
+    }
+    var dir = path.dirname(asset.name)
+      , names = []
+      , self = this
+      , contents;
+    try {
+        contents = fs.readFileSync(path.join(this.dir, asset.name)).toString();
+    } catch (err) {
+        debug('Unable to find the files that %s references: %s', asset.name, err.message);
+        return [];
+    }
+    css.findUrls(contents).forEach(function (url) {
+        if (!css.isRelativeUrl(url)) {
+            return;
+        }
+        var reference = path.join(dir, css.splitUrl(url)[0]).toLowerCase();
+        if (reference !== name && reference in self.assets && names.indexOf(reference) === -1) {
+            names.push(reference);
+        }
+    });
+    this.referencedFiles[name] = { hash: asset.hash, names: names };
+    return names;
+};
+
+/**
+ * Record the files that a compiler read while compiling a file so that they
+ * contribute to the cache-busting hash the next time the asset is defined.
+ *
+ * @param {Object} file - the asset being compiled
+ * @param {Object} asset - the file that was compiled
+ * @param {Array} dependencies - absolute paths or paths relative to the compiled file
+ */
+
+Ferguson.prototype.recordDependencies = function (file, asset, dependencies) {
+    var dir = path.dirname(path.join(this.dir, asset.name))
+      , filename = asset.name.toLowerCase()
+      , names = [], self = this;
+    dependencies.forEach(function (dependency) {
+        var name = path.relative(self.dir, path.resolve(dir, dependency)).toLowerCase()
+          , dependencyAsset = self.assets[name];
+        if (!dependencyAsset || name === filename) {
+            return;
+        }
+        names.push(name);
+        if (file.dependencies.indexOf(dependencyAsset) === -1) {
+            file.dependencies.push(dependencyAsset);
+        }
+    });
+    names = utils.stripDuplicates(names);
+    var indexed = this.assets[filename];
+    if (indexed && (indexed.dependencies || []).join(':') !== names.join(':')) {
+        debug('Compiling %s read %j', asset.name, names);
+        indexed.dependencies = names;
+        this.writeManifest();
+    }
+};
+
+/**
+ * Get the key that identifies the output of a compiler for a version of a
+ * file, or nothing when the output can't be cached.
+ *
+ * The key takes the compiler, the files that the compiler reported as
+ * dependencies and the dependencies of the asset being compiled, e.g. those
+ * listed with the `dependencies` option, into account.
+ *
+ * @param {Object} file - the asset being compiled
+ * @param {Object} asset - an entry of the asset index
+ * @param {Object} compiler
+ * @return {String} key
+ */
+
+Ferguson.prototype.getCompileCacheKey = function (file, asset, compiler) {
+    if (!this.compileCache || !asset.hash) {
+        return null;
+    }
+    var indexed = this.assets[asset.name.toLowerCase()] || asset
+      , parts = [ asset.name, asset.hash, compiler.extname, compiler.output,
+            compiler.compile.toString() ]
+      , self = this;
+    (indexed.dependencies || []).forEach(function (name) {
+        var dependency = self.assets[name];
+        parts.push(name, dependency ? dependency.hash : '');
+    });
+    (file.dependencies || []).forEach(function (dependency) {
+        parts.push(dependency.name, dependency.hash);
+    });
+    return utils.hashString(parts.join('\n'), 'md5');
+};
+
+/**
+ * Normalise the output of a compiler or compressor, which can either be the
+ * compiled contents or an object containing the contents along with a source
+ * map and/or the files that a compiler read.
+ *
+ * @param {String|Buffer|Object} compiled
+ * @return {Object} { contents: <contents>, map: <map>, dependencies: <paths> }
+ */
+
+function result(compiled) {
+    if (compiled && typeof compiled === 'object' && !Buffer.isBuffer(compiled)) {
+        return compiled;
+    }
+    return { contents: compiled };
+}
+
+/**
+ * Get the options that are specific to the response being rendered.
+ *
+ * @param {Object} options
+ * @return {Object}
+ */
+
+function getResponseOptions(options) {
+    options = options || {};
+    var result = {};
+    responseOptions.forEach(function (key) {
+        if (options[key]) {
+            result[key] = options[key];
+        }
+    });
+    return result;
+}
+
+/**
+ * Get the assets that were rendered and queued for a response. The queue is
+ * kept on the response's locals so that every helper created for the
+ * response shares it.
+ *
+ * @param {Object} locals
+ * @return {Object} queue - `rendered` and `required`
+ */
+
+function getAssetQueue(locals) {
+    if (!locals.hasOwnProperty(queueLocal)) {
+        Object.defineProperty(locals, queueLocal, {
+            value: { rendered: {}, required: [] }
+        });
+    }
+    return locals[queueLocal];
+}
+
+/**
+ * Format a `Link` header value for a resource hint.
+ *
+ * @param {String} url
+ * @param {String} rel
+ * @param {Object} attributes - `as`, `type` and `crossorigin`
+ * @return {String} e.g. '</asset-<hash>-app.js>; rel=preload; as=script'
+ */
+
+function formatLink(url, rel, attributes) {
+    var link = format('<%s>; rel=%s', url, rel);
+    if (attributes.as) {
+        link += '; as=' + attributes.as;
+    }
+    if (attributes.type) {
+        link += format('; type="%s"', attributes.type);
+    }
+    if (attributes.crossorigin === 'use-credentials') {
+        link += '; crossorigin=use-credentials';
+    } else if (attributes.crossorigin) {
+        link += '; crossorigin';
+    }
+    return link;
+}
+
+/**
+ * Generate a source map for a bundle of compiled files.
+ *
+ * @param {String} outputPath
+ * @param {Array} members - [{ path: <path>, contents: <contents>, map: <map> }, ...]
+ * @param {String} prefix - content that precedes the first file
+ * @return {Object} map
+ */
+
+function bundleSourceMap(outputPath, members, prefix) {
+    var outputDir = path.dirname(outputPath);
+    members = members.map(function (member) {
+        return {
+            source: path.relative(outputDir, member.path)
+          , contents: member.contents
+          , map: member.map && sourcemaps.rebase(member.map, path.dirname(member.path), outputDir)
+        };
+    });
+    return sourcemaps.concat(path.basename(outputPath), members, prefix);
+}
+
+/**
+ * Compile every defined asset and write them to the static directory.
+ *
+ * Errors are collected rather than aborting the build so that all
+ * failures can be reported at once.
+ *
+ * @param {Function} callback - receives an error with an `errors` array
+ */
+
+Ferguson.prototype.build = function (callback) {
+    this.init();
+    var errors = [], self = this;
+    async.eachSeries(Object.keys(this.pendingAssets), function (identifier, next) {
+        var asset = self.pendingAssets[identifier];
+        debug('Building %s (%s)', asset.path, identifier);
+        self.compileAsset(asset, function (err) {
+            if (err) {
+                errors.push(err);
+            } else {
+                self.emit('build', asset.path);
+            }
+            next();
+        });
+    }, function () {
+        //Make sure that the definitions are persisted before returning
+        self.writeManifest(function () {
+            if (errors.length) {
+                return callback(new BuildError(format('Failed to build %d asset(s)',
+                    errors.length), errors));
+            }
+            self.writeBuildManifest(function (err) {
+                if (err) {
+                    var message = 'Failed to write the build manifest: ' + err.toString();
+                    err = new BuildError(message, [ err ]);
+                }
+                callback(err || null);
+            });
+        });
+    });
+};
+
+/**
+ * Compile an asset synchronously.
+ *
+ * @param {Object} file
+ * @return {Buffer}
+ */
+
+Ferguson.prototype.compileAssetSync = function (file) {
+    var bundle = this.bundleMembers(file, this.compileMembersSync(file), false)
+      , output = this.compressSync(file, bundle);
+    if (output !== bundle && !Buffer.isBuffer(output.contents)) {
+        return new Buffer(output.contents);
+    }
+    return output.contents;
+};
+
+/**
+ * Compile the members of an asset synchronously.
+ *
+ * @param {Object} file
+ * @return {Array} members - [{ path: <path>, contents: <contents>, map: <map> }, ...]
+ */
+
+Ferguson.prototype.compileMembersSync = function (file) {
+    var members = [], self = this;
+    file.assets.forEach(function (asset) {
+        var assetPath = path.join(self.dir, asset.name)
+          , extname = path.extname(asset.name)
+          , compiler = self.options.compilers[extname]
+          , cacheKey = compiler && self.getCompileCacheKey(file, asset, compiler)
+          , cached = cacheKey && self.compileCache.get(asset.name, cacheKey);
+        function add(compiled) {
+            members.push({
+                path: assetPath
+              , contents: self.postProcess(file, asset, compiled)
+              , map: compiled.map
+            });
+        }
+        if (cached) {
+            debug('Using the cached compilation of %s', asset.name);
+            return add(cached);
+        }
+        //Describe a failure to read or compile the file
+        function fail(phase, err) {
+            var message = format('Failed to %s file "%s": %s', phase, asset.name, err.message);
+            return self.compileError(file, message, {
+                file: asset.name
+              , phase: phase
+              , cause: err
+            });
+        }
+        debug('Loading file %s', asset.name);
+        var buffer;
+        try {
+            buffer = fs.readFileSync(assetPath);
+        } catch (err) {
+            throw fail('read', err);
+        }
+        var compiled = { contents: buffer };
+        if (compiler) {
+            if (compiler.compile.length === 4) {
+                var message = format('Cannot compile "%s" synchronously because ' +
+                    'the %s compiler is async', asset.name, compiler.extname);
+                throw self.compileError(file, message, { file: asset.name, phase: 'compile' });
+            }
+            debug('Using synchronous %s compiler to compile %s', extname, asset.name);
+            try {
+                compiled = result(compiler.compile(assetPath, buffer, self.options));
+            } catch (err) {
+                throw fail('compile', err);
+            }
+            if (cacheKey) {
+                self.compileCache.set(asset.name, cacheKey, compiled);
+            }
+        }
+        add(compiled);
+    });
+    return members;
+};
+
+/**
+ * Index the directory of static assets.
+ */
+
+Ferguson.prototype.indexAssets = function () {
+    var separateOutput = this.outputDir !== this.dir
+      , self = this;
+    function indexCompiledAsset(file) {
+        var canonical = self.getCanonicalPath(file.name);
+        if (!(canonical in self.compiledAssets)) {
+            self.compiledAssets[canonical] = [];
+        }
+        self.compiledAssets[canonical].push(file.name);
+        self.compiledTimes[file.name] = file.mtime;
+    }
+    this.getAssets().forEach(function (file) {
+        if (self.isCompiledAsset(file.name)) {
+            if (!separateOutput) {
+                indexCompiledAsset(file);
+            }
+        } else if (!self.isOutputFile(path.join(self.dir, file.name))) {
+            self.assets[file.name.toLowerCase()] = file;
+        }
+    });
+    if (separateOutput && fs.existsSync(this.outputDir)) {
+        this.getAssets(this.outputDir).forEach(function (file) {
+            if (self.isCompiledAsset(file.name)) {
+                indexCompiledAsset(file);
+            }
+        });
+    }
+};
+
+/**
+ * Check whether a file was written by the asset manager, i.e. it's a manifest
+ * or it lives in a separate output directory. When the output directory
+ * contains the static assets directory, its other files aren't indexed
+ * anyway, so only the manifests count.
+ *
+ * @param {String} file - an absolute path
+ * @return {Boolean}
+ */
+
+Ferguson.prototype.isOutputFile = function (file) {
+    if (!isWithin(this.outputDir, this.dir) && isWithin(this.outputDir, file)) {
+        return true;
+    }
+    return file === path.join(this.outputDir, this.options.manifest) ||
+        file === this.getManifestLockPath() ||
+        file === path.join(this.outputDir, this.options.buildManifest);
+};
+
+/**
+ * Check whether a path is a directory or lives somewhere inside it.
+ *
+ * @param {String} dir
+ * @param {String} file
+ * @return {Boolean}
+ */
 
-Ferguson.prototype.indexAssets = function () {
+function isWithin(dir, file) {
+    var relative = path.relative(dir, file);
+    return relative.split(path.sep)[0] !== '..' && !path.isAbsolute(relative);
+}
+
+/**
+ * Get the location of a compiled asset in the output directory.
+ *
+ * @param {Object} asset - an entry of `pendingAssets`
+ * @return {String}
+ */
+
+Ferguson.prototype.getOutputPath = function (asset) {
+    return path.join(this.outputDir, path.relative(this.options.servePrefix, asset.path));
+};
+
+/**
+ * Get a list of all static assets and their mtimes.
+ *
+ * @param {String} dir (optional) - defaults to the directory of static assets
+ * @return {Array} files
+ */
+
+Ferguson.prototype.getAssets = function (dir) {
+    var assets;
+    try {
+        assets = utils.walkDirectory(dir || this.dir);
+    } catch (err) {
+        var message = 'Failed to locate assets: ' + err.toString();
+        this.emit('error', new Error(message));
+    }
+    return assets;
+};
+
+/**
+ * Calculate asset hashes based on file contents.
+ *
+ * @return {Boolean} outdated - true if at least one file had to be hashed
+ */
+
+Ferguson.prototype.hashAssets = function () {
+    var manifest = this.readManifest().files
+      , outdated = false
+      , self = this;
+    var file, filename;
+    for (filename in this.assets) {
+        file = this.assets[filename];
+        if (filename in manifest && manifest[filename].dependencies) {
+            file.dependencies = manifest[filename].dependencies;
+        }
+        if (filename in manifest && manifest[filename].mtime === file.mtime) {
+            file.hash = manifest[filename].hash;
+        } else {
+            debug('Hashing file %s', filename);
+            file.hash = utils.hashFile(path.join(this.dir, filename), this.options.hash);
+            outdated = true;
+        }
+    }
+    if (outdated) {
+        this.flushManifest(function (err) {
+            if (err) {
+                self.emit('error', err);
+            }
+        });
+    }
+    return outdated;
+};
+
+/**
+ * Read the manifest file.
+ *
+ * @return {Object} manifest - { files: <index>, definitions: <definitions> }
+ */
+
+Ferguson.prototype.readManifest = function () {
+    var manifestPath = path.join(this.outputDir, this.options.manifest)
+      , manifest;
+    try {
+        manifest = JSON.parse(fs.readFileSync(manifestPath).toString());
+        assert.equal(typeof manifest, 'object');
+        assert(manifest);
+    } catch (err) {
+        manifest = {};
+    }
+    //Older manifests only contain the index
+    if (!manifest.files || typeof manifest.files !== 'object') {
+        manifest = { files: manifest };
+    }
+    manifest.definitions = manifest.definitions || {};
+    return manifest;
+};
+
+/**
+ * Cache the in-memory index and the asset definitions to a manifest file.
+ *
+ * Definitions are merged with those persisted by other processes so that any
+ * process can compile an asset that was defined elsewhere. Writes are deferred
+ * so that the assets defined while rendering a page are written at once, and
+ * the manifest is locked while it's read, merged and written.
+ *
+ * @param {Function} callback (optional) - receives (err) once the manifest
+ *                   is written
+ */
+
+Ferguson.prototype.writeManifest = function (callback) {
     var self = this;
-    this.getAssets().forEach(function (file) {
-        if (self.isCompiledAsset(file.name)) {
-            var canonical = self.getCanonicalPath(file.name);
-            if (!(canonical in self.compiledAssets)) {
-                self.compiledAssets[canonical] = [];
+    callback = callback || utils.noop;
+    if (this.manifestCallbacks) {
+        this.manifestCallbacks.push(callback);
+        return;
+    }
+    this.manifestCallbacks = [ callback ];
+    setImmediate(function () {
+        var callbacks = self.manifestCallbacks;
+        delete self.manifestCallbacks;
+        self.flushManifest(function (err) {
+            //Let error trackers see the failure without crashing apps that
+            //don't listen for errors
+            if (err && self.listeners('error').length) {
+                self.emit('error', err);
             }
-            self.compiledAssets[canonical].push(file.name);
-        } else if (file.name !== self.options.manifest) {
-            self.assets[file.name.toLowerCase()] = file;
+            callbacks.forEach(function (callback) {
+                callback(err);
+            });
+        });
+    });
+};
+
+/**
+ * Write the manifest file now. If another process is writing it then wait
+ * for it to finish first.
+ *
+ * @param {Function} callback - receives (err), synchronously unless the
+ *                   manifest was locked by another process
+ */
+
+Ferguson.prototype.flushManifest = function (callback) {
+    var lockPath = this.getManifestLockPath()
+      , self = this
+      , acquired;
+    try {
+        acquired = lock.tryAcquireSync(lockPath, this.options.lockTimeout);
+    } catch (err) {
+        return callback(new Error('Failed to lock the assets manifest: ' + err.toString()));
+    }
+    if (acquired) {
+        var err = this.saveManifest();
+        lock.releaseSync(lockPath);
+        return callback(err);
+    }
+    debug('Waiting for another process to write the manifest');
+    lock.acquire(lockPath, this.options.lockTimeout, function (err, acquired) {
+        if (err) {
+            return callback(new Error('Failed to lock the assets manifest: ' + err.toString()));
         }
+        if (!acquired) {
+            return self.flushManifest(callback);
+        }
+        var saveErr = self.saveManifest();
+        lock.release(lockPath, function () {
+            callback(saveErr);
+        });
+    });
+};
+
+/**
+ * Merge the index and the definitions of this process into the manifest file.
+ * The manifest lock must be held.
+ *
+ * @return {Error} err - when the manifest couldn't be written
+ */
+
+Ferguson.prototype.saveManifest = function () {
+    var manifestPath = path.join(this.outputDir, this.options.manifest)
+      , definitions = this.readManifest().definitions;
+    for (var identifier in this.pendingAssets) {
+        definitions[identifier] = serializeDefinition(this.pendingAssets[identifier]);
+    }
+    try {
+        debug('Writing to the manifest file');
+        mkdirp.sync(this.outputDir);
+        utils.writeFileAtomicSync(manifestPath, JSON.stringify({
+            files: this.assets
+          , definitions: definitions
+        }));
+    } catch (err) {
+        return new Error('Failed to write the assets manifest: ' + err.toString());
+    }
+    return null;
+};
+
+/**
+ * Get the lock file that processes hold while writing the manifest.
+ *
+ * @return {String}
+ */
+
+Ferguson.prototype.getManifestLockPath = function () {
+    return path.join(this.outputDir, this.options.manifest + '.lock');
+};
+
+/**
+ * Write the asset definitions and their compiled paths to the build manifest.
+ *
+ * @param {Function} callback
+ */
+
+Ferguson.prototype.writeBuildManifest = function (callback) {
+    var manifestPath = path.join(this.outputDir, this.options.buildManifest)
+      , manifest = {};
+    for (var identifier in this.pendingAssets) {
+        manifest[identifier] = serializeDefinition(this.pendingAssets[identifier]);
+    }
+    //Bundles that are output as separate tags only list their files
+    for (identifier in this.separatedBundles) {
+        manifest[identifier] = {
+            include: this.separatedBundles[identifier].include
+          , options: this.separatedBundles[identifier].options
+        };
+    }
+    debug('Writing to the build manifest file');
+    mkdirp(this.outputDir, function (err) {
+        if (err) return callback(err);
+        utils.writeFileAtomic(manifestPath, JSON.stringify(manifest), callback);
     });
 };
 
 /**
- * Get a list of all static assets and their mtimes.
+ * Serialise an asset definition for a manifest.
+ *
+ * @param {Object} asset - an entry of `pendingAssets`
+ * @return {Object} { path: <path>, assets: <names>, dependencies: <names>, options: <options> }
+ */
+
+function serializeDefinition(asset) {
+    function name(file) {
+        return file.name;
+    }
+    return {
+        path: asset.path
+      , assets: asset.assets.map(name)
+      , dependencies: asset.dependencies.map(name)
+      , options: asset.options
+    };
+}
+
+/**
+ * Define an asset using a definition that another process persisted to the
+ * manifest.
+ *
+ * @param {String} identifier
+ * @return {Object} asset - the entry of `pendingAssets`, if any
+ */
+
+Ferguson.prototype.restoreDefinition = function (identifier) {
+    var definition = this.getPersistedDefinitions()[identifier];
+    if (!definition) {
+        return null;
+    }
+    debug('Restoring the definition of %s from the manifest', identifier);
+    this.assetPath(identifier, definition.options);
+    return this.pendingAssets[identifier] || null;
+};
+
+/**
+ * Get the asset definitions persisted to the manifest. The manifest is only
+ * parsed again when it changes.
+ *
+ * @return {Object} definitions
+ */
+
+Ferguson.prototype.getPersistedDefinitions = function () {
+    var manifestPath = path.join(this.outputDir, this.options.manifest)
+      , cached = this.persistedDefinitions
+      , stat;
+    try {
+        stat = fs.statSync(manifestPath);
+    } catch (err) {
+        return {};
+    }
+    if (!cached || cached.mtime !== stat.mtime.getTime() || cached.size !== stat.size) {
+        debug('Reading the asset definitions from the manifest');
+        cached = this.persistedDefinitions = {
+            mtime: stat.mtime.getTime()
+          , size: stat.size
+          , definitions: this.readManifest().definitions
+        };
+    }
+    return cached.definitions;
+};
+
+/**
+ * Load asset definitions from the build manifest.
+ */
+
+Ferguson.prototype.loadBuildManifest = function () {
+    var manifestPath = path.join(this.outputDir, this.options.buildManifest)
+      , manifest;
+    try {
+        debug('Loading the build manifest');
+        manifest = JSON.parse(fs.readFileSync(manifestPath).toString());
+        assert.equal(typeof manifest, 'object');
+    } catch (err) {
+        var message = 'Failed to load the build manifest: ' + err.toString();
+        this.emit('error', new Error(message));
+        return;
+    }
+    function file(name) {
+        return { name: name };
+    }
+    var asset;
+    for (var identifier in manifest) {
+        asset = manifest[identifier];
+        if (asset.include) {
+            this.separatedBundles[identifier] = {
+                include: asset.include
+              , options: asset.options || {}
+            };
+            continue;
+        }
+        this.pendingAssets[identifier] = {
+            path: asset.path
+          , assets: asset.assets.map(file)
+          , dependencies: asset.dependencies.map(file)
+          , options: asset.options || {}
+        };
+    }
+};
+
+/**
+ * Define assets and return the resulting tags.
+ *
+ * This function also serves as the view helper available to templates.
+ *
+ * @param {String} identifier
+ * @param {Object} options (optional)
+ * @param {Boolean} force (optional) - ignore any existing asset definitions
+ * @param {Boolean} resolved (optional) - the assets that this asset requires
+ *                  have already been rendered
+ * @return {String} html
+ */
+
+Ferguson.prototype.asset = function (identifier, options, force, resolved) {
+    this.init();
+    var self = this;
+    options = options || {};
+    identifier = identifier.toLowerCase();
+
+    //Have we already defined the asset?
+    var existingAsset = this.pendingAssets[identifier] || this.separatedBundles[identifier];
+    if (!force && existingAsset) {
+        options = utils.mergeDefaults(utils.copy(options), existingAsset.options);
+        return this.asset(identifier, options, true, resolved);
+    }
+
+    //Render the assets that this asset requires first
+    if (options.requires) {
+        this.assetRequires[identifier] = [].concat(options.requires);
+    }
+    if (!resolved) {
+        var required;
+        try {
+            required = this.resolveRequires(identifier);
+        } catch (err) {
+            this.emit('error', err);
+            return '';
+        }
+        if (required.length) {
+            return required.map(function (required) {
+                return self.asset(required, getResponseOptions(options), false, true);
+            }).concat(this.asset(identifier, options, force, true)).join('\n');
+        }
+    }
+
+    if (this.options.separateBundles && options.include) {
+        debug('Calculating includes for %s', identifier);
+        var include;
+        if (this.options.readOnly) {
+            //The files of a bundle are listed in the build manifest
+            if (!this.separatedBundles[identifier]) {
+                message = format('Asset "%s" is not defined in the build manifest', identifier);
+                this.emit('error', new Error(message));
+                return '';
+            }
+            include = this.separatedBundles[identifier].include;
+        } else {
+            try {
+                include = this.expandGlobs(options.include);
+            } catch (err) {
+                message = err.message + format(' when building asset "%s"', identifier);
+                this.emit('error', new Error(message));
+                return '';
+            }
+        }
+        //Remember the bundle so that it can be referenced by name
+        var bundleOptions = utils.copy(options);
+        responseOptions.forEach(function (key) {
+            delete bundleOptions[key];
+        });
+        this.separatedBundles[identifier] = { options: bundleOptions, include: include };
+        var nomodule = options.nomodule;
+        options = utils.copy(options);
+        delete options.include;
+        delete options.requires;
+        delete options.nomodule;
+        debug('Separating bundle %s into multiple tags', identifier);
+        var separated = include.map(function (identifier) {
+            return self.asset(identifier, options, false, true);
+        });
+        if (nomodule) {
+            separated.push(this.legacyAsset(nomodule, options));
+        }
+        return separated.join('\n');
+    }
+
+    //Nonces, inline hashes and resource hints are specific to the response
+    //being rendered so they shouldn't become part of the asset definition
+    var nonce = options.nonce
+      , onInlineHash = options.onInlineHash
+      , onResourceHint = options.onResourceHint;
+    if (nonce || onInlineHash || onResourceHint) {
+        options = utils.copy(options);
+        delete options.nonce;
+        delete options.onInlineHash;
+        delete options.onResourceHint;
+    }
+
+    var attributes = options.attributes || {};
+
+    //Should we inline the asset? Small assets are inlined automatically
+    if (options.inline || this.isBelowInlineThreshold(identifier, options)) {
+        identifier = this.defineAsset(identifier, options);
+        if (!identifier) {
+            return '';
+        }
+        var inlineExtname = path.extname(identifier)
+          , inlineFormat = this.options.inline[inlineExtname]
+          , inline = this.assetInline(identifier, options);
+        if (!inlineFormat) {
+            return inline.toString();
+        }
+        if (cspTypes.indexOf(inlineExtname) >= 0) {
+            if (nonce) {
+                attributes = utils.copy(attributes);
+                attributes.nonce = nonce;
+            }
+            if (onInlineHash) {
+                onInlineHash(inlineExtname, utils.integrity(inline, 'sha256'));
+            }
+        }
+        return inlineFormat(identifier, inline, this.options, attributes);
+    }
+
+    var url = this.assetUrl(identifier, options);
+    if (!url) {
+        return '';
+    }
+    var extname = path.extname(url);
+    if (!(extname in this.options.tags)) {
+        var message = format('Unable to create an HTML tag for type "%s"', extname);
+        this.emit('error', new Error(message));
+        return '';
+    }
+
+    //How should the script load? Scripts with a legacy bundle are modules
+    var load = options.load || (options.nomodule ? 'module' : null);
+    if (load && extname === '.js') {
+        if (!(load in loadAttributes)) {
+            this.emit('error', new Error(format('Unknown load option "%s" for asset "%s"',
+                load, identifier)));
+        } else {
+            attributes = utils.copy(attributes);
+            for (var key in loadAttributes[load]) {
+                attributes[key] = loadAttributes[load][key];
+            }
+        }
+    }
+
+    //Should we add a subresource integrity digest?
+    var integrity = 'integrity' in options ? options.integrity : this.options.integrity;
+    if (integrity && integrityTypes.indexOf(extname) >= 0) {
+        integrity = this.assetIntegrity(identifier, options);
+        if (integrity) {
+            attributes = utils.copy(attributes);
+            attributes.integrity = integrity;
+            attributes.crossorigin = attributes.crossorigin || 'anonymous';
+        }
+    }
+
+    //Browsers that support modules skip nomodule scripts, so they shouldn't
+    //be preloaded
+    if (onResourceHint && extname in tags.hints && !attributes.nomodule) {
+        onResourceHint(url, attributes.type === 'module' ? 'modulepreload' : 'preload',
+            this.getHintAttributes(extname, { crossorigin: attributes.crossorigin }));
+    }
+
+    var html = this.options.tags[extname](url, this.options, attributes);
+    if (options.nomodule && extname === '.js') {
+        html += '\n' + this.legacyAsset(options.nomodule, {
+            nonce: nonce
+          , onInlineHash: onInlineHash
+          , onResourceHint: onResourceHint
+        });
+    }
+    return html;
+};
+
+/**
+ * Output the legacy bundle that browsers without module support load
+ * instead of a module.
  *
- * @return {Array} files
+ * @param {String} identifier - of the legacy bundle
+ * @param {Object} options - the options of the module
+ * @return {String} html
  */
 
-Ferguson.prototype.getAssets = function () {
-    var assets;
-    try {
-        assets = utils.walkDirectory(this.dir);
-    } catch (err) {
-        var message = 'Failed to locate assets: ' + err.toString();
-        this.emit('error', new Error(message));
-    }
-    return assets;
+Ferguson.prototype.legacyAsset = function (identifier, options) {
+    options = getResponseOptions(options);
+    options.attributes = { nomodule: true };
+    return this.asset(identifier, options, false, true);
 };
 
 /**
- * Calculate asset hashes based on file contents.
+ * Get the assets that an asset requires, i.e. the assets named by its
+ * `requires` option.
  *
- * @return {Boolean} outdated - true if at least one file had to be hashed
+ * @param {String} identifier
+ * @return {Array} identifiers
  */
 
-Ferguson.prototype.hashAssets = function () {
-    var manifestPath = path.join(this.dir, this.options.manifest)
-      , manifest, outdated = false;
-    try {
-        manifest = JSON.parse(fs.readFileSync(manifestPath).toString());
-        assert.equal(typeof manifest, 'object');
-    } catch (err) {
-        manifest = {};
-    }
-    var file, filename;
-    for (filename in this.assets) {
-        file = this.assets[filename];
-        if (filename in manifest && manifest[filename].mtime === file.mtime) {
-            file.hash = manifest[filename].hash;
-        } else {
-            debug('Hashing file %s', filename);
-            file.hash = utils.hashFile(path.join(this.dir, filename), this.options.hash);
-            outdated = true;
-        }
-    }
-    if (outdated) {
-        this.writeManifest();
+Ferguson.prototype.getRequires = function (identifier) {
+    var requires = this.assetRequires[identifier];
+    if (!requires && identifier in this.pendingAssets) {
+        requires = [].concat(this.pendingAssets[identifier].options.requires || []);
     }
-    return outdated;
+    return (requires || []).map(function (required) {
+        return required.toLowerCase();
+    });
 };
 
 /**
- * Cache the in-memory index to a manifest file.
+ * Resolve the assets that an asset requires, transitively. Each asset comes
+ * after the assets it requires.
+ *
+ * @param {String} identifier
+ * @return {Array} identifiers - excluding the asset itself
+ * @throws {Error} when the assets require each other
  */
 
-Ferguson.prototype.writeManifest = function () {
-    var manifestPath = path.join(this.dir, this.options.manifest);
-    try {
-        debug('Writing to the manifest file');
-        fs.writeFileSync(manifestPath, JSON.stringify(this.assets));
-    } catch (err) {
-        var message = 'Failed to write the assets manifest: ' + err.toString();
-        this.emit('error', new Error(message));
+Ferguson.prototype.resolveRequires = function (identifier) {
+    var order = [], self = this;
+    function visit(identifier, stack) {
+        if (stack.indexOf(identifier) >= 0) {
+            throw new Error(format('Asset "%s" requires itself (%s)', identifier,
+                stack.concat(identifier).join(' -> ')));
+        }
+        if (order.indexOf(identifier) >= 0) {
+            return;
+        }
+        self.getRequires(identifier).forEach(function (required) {
+            visit(required, stack.concat(identifier));
+        });
+        order.push(identifier);
     }
+    visit(identifier.toLowerCase(), []);
+    order.pop();
+    return order;
 };
 
 /**
- * Define assets and return the resulting tags.
- *
- * This function also serves as the view helper available to templates.
+ * Generate a resource hint <link> tag for an asset.
  *
+ * @param {String} rel - e.g. "preload" or "prefetch"
  * @param {String} identifier
- * @param {Object} options (optional)
- * @param {Boolean} force (optional) - ignore any existing asset definitions
+ * @param {Object} options (optional) - `as`, `type` and `crossorigin`
+ *                 override the defaults for the type of asset
  * @return {String} html
  */
 
-Ferguson.prototype.asset = function (identifier, options, force) {
-    this.init();
-    options = options || {};
-    identifier = identifier.toLowerCase();
-
-    //Have we already defined the asset?
-    if (!force && identifier in this.pendingAssets) {
-        var existingOptions = this.pendingAssets[identifier].options;
-        options = utils.mergeDefaults(utils.copy(options), existingOptions);
-        return this.asset(identifier, options, true);
+Ferguson.prototype.assetHint = function (rel, identifier, options) {
+    options = utils.copy(options || {});
+    var onResourceHint = options.onResourceHint;
+    delete options.nonce;
+    delete options.onInlineHash;
+    delete options.onResourceHint;
+    var url = this.assetUrl(identifier, options);
+    if (!url) {
+        return '';
     }
-
-    if (this.options.separateBundles && options.include) {
-        debug('Calculating includes for %s', identifier);
-        var include;
-        try {
-            include = this.expandGlobs(options.include);
-        } catch (err) {
-            message = err.message + format(' when building asset "%s"', identifier);
-            this.emit('error', new Error(message));
-            return '';
-        }
-        options = utils.copy(options);
-        delete options.include;
-        var self = this;
-        debug('Separating bundle %s into multiple tags', identifier);
-        return include.map(function (identifier) {
-            return self.asset(identifier, options);
-        }).join('\n');
+    var attributes = utils.copy(options.attributes || {})
+      , hint = this.getHintAttributes(path.extname(url), options);
+    for (var key in hint) {
+        attributes[key] = hint[key];
+    }
+    if (onResourceHint) {
+        onResourceHint(url, rel, hint);
     }
+    return tags.hint(rel, url, this.options, attributes);
+};
 
-    var attributes = options.attributes || {};
+/**
+ * Get the `as`, `type` and `crossorigin` attributes of a resource hint.
+ *
+ * @param {String} extname - of the compiled asset
+ * @param {Object} options - may override each attribute
+ * @return {Object} attributes
+ */
 
-    //Should we inline the asset?
-    if (options.inline) {
-        identifier = this.defineAsset(identifier, options);
-        if (!identifier) {
-            return '';
-        }
-        var inlineFormat = this.options.inline[path.extname(identifier)]
-          , inline = this.assetInline(identifier, options);
-        if (!inlineFormat) {
-            return inline.toString();
-        }
-        return inlineFormat(identifier, inline, this.options, attributes);
+Ferguson.prototype.getHintAttributes = function (extname, options) {
+    var hint = tags.hints[extname] || {}
+      , attributes = {};
+    if (options.as || hint.as) {
+        attributes.as = options.as || hint.as;
     }
-
-    var url = this.assetUrl(identifier, options)
-      , extname = path.extname(url);
-    if (!(extname in this.options.tags)) {
-        var message = format('Unable to create an HTML tag for type "%s"', extname);
-        this.emit('error', new Error(message));
-        return '';
+    if (options.type || (hint.type && attributes.as === hint.as)) {
+        attributes.type = options.type || hint.type;
+    }
+    if (options.crossorigin) {
+        attributes.crossorigin = options.crossorigin;
+    } else if (attributes.as === 'font') {
+        attributes.crossorigin = 'anonymous';
     }
-    return this.options.tags[extname](url, this.options, attributes);
+    return attributes;
 };
 
 /**
@@ -554,6 +2268,80 @@ Ferguson.prototype.assetPath = function (identifier, options, force) {
     return this.pendingAssets[identifier].path;
 };
 
+/**
+ * Check whether the compiled output of an asset is smaller than the
+ * `inlineThreshold` option. The size of each version of an asset is only
+ * calculated once. Assets with a `load`, `nomodule` or `integrity` option
+ * rely on their tag's attributes, and stylesheets with relative URLs rely on
+ * their own location, so they're never inlined automatically.
+ *
+ * @param {String} identifier
+ * @param {Object} options
+ * @return {Boolean}
+ */
+
+Ferguson.prototype.isBelowInlineThreshold = function (identifier, options) {
+    var threshold = 'inlineThreshold' in options ?
+        options.inlineThreshold : this.options.inlineThreshold;
+    if (!threshold) {
+        return false;
+    }
+    var integrity = 'integrity' in options ? options.integrity : this.options.integrity;
+    if (options.load || options.nomodule || integrity) {
+        return false;
+    }
+    identifier = this.defineAsset(identifier, options);
+    if (!identifier) {
+        return false;
+    }
+    var asset = this.pendingAssets[identifier];
+    if (!(path.extname(asset.path) in this.options.inline)) {
+        return false;
+    }
+    if (!(asset.path in this.compiledSizes)) {
+        var outputPath = this.getOutputPath(asset)
+          , contents = asset.cachedInline
+          , size = null;
+        //Measure the compiled file if there is one, so that large assets aren't
+        //compiled just to find out that they're too large. Assets that can't
+        //be compiled synchronously are never inlined
+        try {
+            if (!contents) {
+                try {
+                    size = fs.statSync(outputPath).size;
+                } catch (err) {
+                    if (this.options.readOnly) {
+                        throw err;
+                    }
+                }
+                if (size === null || size < threshold) {
+                    contents = this.options.readOnly ?
+                        fs.readFileSync(outputPath) : this.compileAssetSync(asset);
+                }
+            }
+        } catch (err) {
+            debug('Unable to calculate the compiled size of %s: %s', identifier, err.message);
+            contents = null;
+            size = Infinity;
+        }
+        if (contents) {
+            size = contents.length;
+            //Relative URLs would resolve against the page rather than the
+            //stylesheet once it's inlined
+            if (path.extname(asset.path) === '.css' &&
+                    css.findUrls(contents.toString()).some(css.isRelativeUrl)) {
+                debug('Not inlining %s because it contains relative URLs', identifier);
+                size = Infinity;
+            }
+        }
+        this.compiledSizes[asset.path] = size;
+        if (contents && size < threshold) {
+            asset.cachedInline = contents;
+        }
+    }
+    return this.compiledSizes[asset.path] < threshold;
+};
+
 /**
  * Get an inline asset.
  *
@@ -584,7 +2372,11 @@ Ferguson.prototype.assetInline = function (identifier, options, force) {
     }
     var contents;
     try {
-        contents = this.compileAssetSync(asset);
+        if (this.options.readOnly) {
+            contents = fs.readFileSync(this.getOutputPath(asset));
+        } else {
+            contents = this.compileAssetSync(asset);
+        }
         asset.cachedInline = contents;
     } catch (err) {
         this.emit('error', err);
@@ -593,6 +2385,88 @@ Ferguson.prototype.assetInline = function (identifier, options, force) {
     return contents;
 };
 
+/**
+ * Get the subresource integrity digest of a compiled asset.
+ *
+ * The digest is based on the compiled file. If the asset hasn't been compiled
+ * yet then it's compiled synchronously, exactly as it would be written to
+ * disk, and then written in the background. Assets that can't be compiled
+ * synchronously are compiled in the background and have no digest until
+ * they've been written.
+ *
+ * @param {String} identifier
+ * @param {Object} options
+ * @param {Boolean} force (optional) - ignore any existing asset definitions
+ * @return {String} integrity - e.g. "sha384-<base64>"
+ */
+
+Ferguson.prototype.assetIntegrity = function (identifier, options, force) {
+    this.init();
+    //Have we already defined the asset?
+    options = options || {};
+    identifier = identifier.toLowerCase();
+    if (!force && identifier in this.pendingAssets) {
+        var existingOptions = this.pendingAssets[identifier].options;
+        options = utils.mergeDefaults(utils.copy(options), existingOptions);
+        return this.assetIntegrity(identifier, options, true);
+    }
+    identifier = this.defineAsset(identifier, options);
+    if (!identifier) {
+        return '';
+    }
+    var algorithm = 'integrity' in options ? options.integrity : this.options.integrity;
+    if (algorithm === true) {
+        algorithm = 'sha384';
+    }
+    var asset = this.pendingAssets[identifier];
+    asset.integrity = asset.integrity || {};
+    if (asset.integrity[algorithm]) {
+        return asset.integrity[algorithm];
+    }
+    var outputPath = this.getOutputPath(asset)
+      , self = this
+      , contents, output;
+    //Report failures to write the asset in the background the same way the
+    //middleware does
+    function written(err) {
+        if (err && self.listeners('error').length) {
+            self.emit('error', err);
+        }
+    }
+    try {
+        contents = fs.readFileSync(outputPath);
+    } catch (err) {
+        if (this.options.readOnly) {
+            var message = format('Failed to read compiled asset "%s": %s',
+                asset.path, err.message);
+            this.emit('error', new Error(message));
+            return '';
+        }
+        if (!this.canCompileSync(asset)) {
+            debug('Compiling %s in the background to calculate its integrity', asset.path);
+            this.compileAssetLocked(asset, written);
+            return '';
+        }
+        debug('Compiling %s to calculate its integrity', asset.path);
+        try {
+            output = this.compressSync(asset, this.bundleMembers(asset,
+                this.compileMembersSync(asset), this.options.sourceMaps));
+        } catch (err) {
+            this.emit('error', err);
+            return '';
+        }
+        contents = this.getCompiledContents(outputPath, output.contents, output.map);
+        this.compileAssetLocked(asset, function (file, callback) {
+            mkdirp(path.dirname(outputPath), function () {
+                self.writeCompiledAsset(outputPath, output.contents, output.map, callback);
+            });
+        }, written);
+    }
+    debug('Calculating the %s integrity of %s', algorithm, asset.path);
+    asset.integrity[algorithm] = utils.integrity(contents, algorithm);
+    return asset.integrity[algorithm];
+};
+
 /**
  * Define an asset.
  *
@@ -615,6 +2489,16 @@ Ferguson.prototype.defineAsset = function (identifier, options, force) {
         identifier = path.join(dirname, path.basename(identifier, extname) + outputExt);
     }
 
+    //Only assets in the build manifest are available in read-only mode
+    if (this.options.readOnly) {
+        if (!(identifier in this.pendingAssets)) {
+            message = format('Asset "%s" is not defined in the build manifest', identifier);
+            this.emit('error', new Error(message));
+            return '';
+        }
+        return identifier;
+    }
+
     //Have we already defined the asset?
     if (!force && identifier in this.pendingAssets) {
         var existingOptions = this.pendingAssets[identifier].options;
@@ -717,6 +2601,30 @@ Ferguson.prototype.defineAsset = function (identifier, options, force) {
         }
     }
 
+    //Add the files that stylesheets reference, which end up in the compiled
+    //stylesheet via their rewritten URLs or as data URIs
+    var findReferences = this.options.rewriteUrls || this.options.dataUriLimit;
+    if (findReferences && path.extname(identifier) === '.css') {
+        assets.forEach(function (asset) {
+            self.getReferencedFiles(asset).forEach(function (name) {
+                var dependency = self.assets[name];
+                if (dependencies.indexOf(dependency) === -1) {
+                    dependencies.push(dependency);
+                }
+            });
+        });
+    }
+
+    //Add the files that compilers read when the asset was last compiled
+    assets.forEach(function (asset) {
+        (asset.dependencies || []).forEach(function (name) {
+            var dependency = self.assets[name];
+            if (dependency && dependencies.indexOf(dependency) === -1) {
+                dependencies.push(dependency);
+            }
+        });
+    });
+
     //Generate a cache-busting hash based on the expected contents of the asset
     var toHash = assets.concat(dependencies);
     var assetHashes = toHash.map(function (asset) {
@@ -744,18 +2652,16 @@ Ferguson.prototype.defineAsset = function (identifier, options, force) {
           , dependencies: dependencies
           , options: options
         };
+        this.writeManifest();
     }
 
-    //Cleanup any older versions of the asset
+    //Cleanup any older versions of the asset that aren't retained
     var existing = this.compiledAssets[identifier];
     if (existing) {
+        var retained = this.getRetainedVersions(existing, assetFilename);
         this.compiledAssets[identifier] = existing.filter(function (file) {
-            if (file !== assetFilename) {
-                debug('Removing old asset %s', file);
-                self.emit('delete', file);
-                delete self.pendingAssets[file];
-                delete self.compiledAssets[file];
-                fs.unlink(path.join(self.dir, file), utils.noop);
+            if (file !== assetFilename && retained.indexOf(file) === -1) {
+                self.removeCompiledAsset(file);
                 return false;
             }
             return true;
@@ -765,6 +2671,130 @@ Ferguson.prototype.defineAsset = function (identifier, options, force) {
     return identifier;
 };
 
+/**
+ * Get the older versions of an asset that the retention policy keeps, i.e.
+ * the `retainVersions` most recent versions and any version younger than
+ * `retainFor` milliseconds.
+ *
+ * @param {Array} files - the compiled versions of the asset
+ * @param {String} current - the current version
+ * @return {Array} retained
+ */
+
+Ferguson.prototype.getRetainedVersions = function (files, current) {
+    var count = this.options.retainVersions
+      , age = this.options.retainFor
+      , now = Date.now()
+      , self = this;
+    if (!count && !age) {
+        return [];
+    }
+    return files.filter(function (file) {
+        return file !== current;
+    }).sort(function (a, b) {
+        return (self.compiledTimes[b] || 0) - (self.compiledTimes[a] || 0);
+    }).filter(function (file, index) {
+        return index < count || now - (self.compiledTimes[file] || 0) < age;
+    });
+};
+
+/**
+ * Remove a compiled asset along with the files written alongside it.
+ *
+ * @param {String} file - relative to the output directory
+ * @param {Function} callback (optional)
+ */
+
+Ferguson.prototype.removeCompiledAsset = function (file, callback) {
+    var self = this;
+    callback = callback || utils.noop;
+    debug('Removing old asset %s', file);
+    this.emit('delete', file);
+    delete this.pendingAssets[file];
+    delete this.compiledAssets[file];
+    delete this.compiledTimes[file];
+    this.removingNow++;
+    async.each(compiledSuffixes, function (suffix, next) {
+        fs.unlink(path.join(self.outputDir, file + suffix), function () {
+            next();
+        });
+    }, function () {
+        if (!--self.removingNow) {
+            var callbacks = self.removalCallbacks;
+            self.removalCallbacks = [];
+            callbacks.forEach(function (callback) {
+                callback();
+            });
+        }
+        callback();
+    });
+};
+
+/**
+ * Wait for the compiled assets that are being removed, e.g. the previous
+ * versions of an asset that were cleaned up when it was defined.
+ *
+ * @param {Function} callback
+ */
+
+Ferguson.prototype.waitForRemovals = function (callback) {
+    if (!this.removingNow) {
+        return setImmediate(callback);
+    }
+    this.removalCallbacks.push(callback);
+};
+
+/**
+ * Remove compiled assets that no definition references, regardless of the
+ * retention policy. Definitions persisted to the manifest by other processes
+ * are taken into account.
+ *
+ * @param {Function} callback (optional) - receives (err, removed)
+ */
+
+Ferguson.prototype.prune = function (callback) {
+    callback = callback || utils.noop;
+    this.init();
+    var definitions = this.readManifest().definitions
+      , referenced = {}
+      , removed = []
+      , identifier, self = this;
+    function reference(asset) {
+        referenced[path.relative(self.options.servePrefix, asset.path)] = true;
+    }
+    for (identifier in definitions) {
+        reference(definitions[identifier]);
+    }
+    for (identifier in this.pendingAssets) {
+        reference(this.pendingAssets[identifier]);
+    }
+    var files = fs.existsSync(this.outputDir) && this.getAssets(this.outputDir) || [];
+    //Source maps and compressed variants are removed with their asset
+    var compiled = files.map(function (file) {
+        return file.name;
+    }).filter(function (file) {
+        return self.isCompiledAsset(file) && !/\.(?:lock|tmp)$/.test(file) &&
+            compiledSuffixes.every(function (suffix) {
+                return !suffix || file.slice(-suffix.length) !== suffix;
+            });
+    });
+    async.eachSeries(compiled, function (file, next) {
+        if (file in referenced) {
+            return next();
+        }
+        var canonical = self.getCanonicalPath(file);
+        if (canonical in self.compiledAssets) {
+            self.compiledAssets[canonical] = self.compiledAssets[canonical].filter(function (version) {
+                return version !== file;
+            });
+        }
+        removed.push(file);
+        self.removeCompiledAsset(file, next);
+    }, function (err) {
+        callback(err || null, removed);
+    });
+};
+
 /**
  * Get the URL prefix of assets.
  *
@@ -824,43 +2854,71 @@ Ferguson.prototype.expandGlobs = function (globs) {
  */
 
 Ferguson.prototype.watchDirectory = function () {
-    var locations = [];
-    for (var file in this.assets) {
-        locations.push(path.dirname(file));
-    }
-    debug('Watching directory %s for changes', this.dir);
     var self = this;
-    this.watchers = utils.stripDuplicates(locations).map(function (dir) {
-        return fs.watch(path.join(self.dir, dir), function (event, filename) {
-            filename = path.join(dir, filename);
-            if (self.isCompiledAsset(filename) || filename === self.options.manifest) {
-                return;
-            }
-            debug('Detected a change in %s', filename);
-            var filePath = path.join(self.dir, filename)
-              , canonical = filename.toLowerCase();
-            try {
-                var stat = fs.statSync(filePath);
-                if (stat.isDirectory()) {
-                    self.removeWatchers();
-                    self.indexAssets();
-                    self.hashAssets();
-                    self.watchDirectory();
-                } else {
-                    debug('Hashing file %s', filename);
-                    self.assets[canonical] = {
-                        name: filename
-                      , mtime: stat.mtime.getTime()
-                      , hash: utils.hashFile(filePath, self.options.hash)
-                    };
+    this.watcher = new Watcher(this.dir, {
+        delay: this.options.watchDelay
+      , ignore: function (file) {
+            return self.isCompiledAsset(file) || self.isOutputFile(path.join(self.dir, file));
+        }
+    });
+    this.watcher.on('change', function (files) {
+        files = self.updateAssets(files);
+        if (files.length) {
+            self.writeManifest();
+            files.forEach(function (file) {
+                self.emit('change', file);
+            });
+            self.emit('changes', files);
+        }
+    });
+    this.watcher.start();
+};
+
+/**
+ * Update the index after files were added, modified or removed.
+ *
+ * @param {Array} files - a removed directory removes every file below it
+ * @return {Array} files - the files that actually changed
+ */
+
+Ferguson.prototype.updateAssets = function (files) {
+    var changed = [], self = this;
+    files.forEach(function (filename) {
+        var filePath = path.join(self.dir, filename)
+          , canonical = filename.toLowerCase()
+          , previous = self.assets[canonical]
+          , stat, hash;
+        try {
+            stat = fs.statSync(filePath);
+            hash = utils.hashFile(filePath, self.options.hash);
+        } catch (err) {
+            var prefix = canonical + path.sep;
+            for (var name in self.assets) {
+                if (name === canonical || name.indexOf(prefix) === 0) {
+                    debug('Removing %s from the index', name);
+                    changed.push(self.assets[name].name);
+                    delete self.assets[name];
                 }
-            } catch (err) {
-                delete self.assets[canonical];
             }
-            self.writeManifest();
-            self.emit('change', filename);
-        });
+            return;
+        }
+        //Editors often touch a file several times per save
+        if (previous && previous.hash === hash) {
+            previous.mtime = stat.mtime.getTime();
+            return;
+        }
+        debug('Hashed file %s', filename);
+        self.assets[canonical] = {
+            name: filename
+          , mtime: stat.mtime.getTime()
+          , hash: hash
+        };
+        if (previous && previous.dependencies) {
+            self.assets[canonical].dependencies = previous.dependencies;
+        }
+        changed.push(filename);
     });
+    return changed;
 };
 
 /**
@@ -868,22 +2926,31 @@ Ferguson.prototype.watchDirectory = function () {
  */
 
 Ferguson.prototype.destroy = function () {
-    if (this.watchers) {
-        this.removeWatchers();
+    this.removeWatchers();
+    if (this.workerPool) {
+        this.workerPool.close();
+        delete this.workerPool;
+    }
+    if (this.liveReloadListener) {
+        this.removeListener('changes', this.liveReloadListener);
+        delete this.liveReloadListener;
     }
+    this.liveReloadClients.forEach(function (response) {
+        response.end();
+    });
+    this.liveReloadClients = [];
     this.initialised = false;
 };
 
 /**
- * Remove all directory watchers.
+ * Stop watching the static directory.
  */
 
-
 Ferguson.prototype.removeWatchers = function () {
-    this.watchers.forEach(function (watcher) {
-        watcher.close();
-    });
-    this.watchers = [];
+    if (this.watcher) {
+        this.watcher.close();
+        delete this.watcher;
+    }
 };
 
 /**
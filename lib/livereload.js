@@ -0,0 +1,66 @@
+var format = require('util').format
+  , livereload = exports;
+
+/**
+ * The live-reload client. Stylesheets are swapped in place when they change,
+ * any other change reloads the page.
+ *
+ * @param {String} url - the URL of the event stream
+ */
+
+/* global EventSource */
+function client(url) {
+    var source = new EventSource(url);
+    source.addEventListener('reload', function () {
+        window.location.reload();
+    });
+    source.addEventListener('css', function (event) {
+        var change = JSON.parse(event.data)
+          , links = document.getElementsByTagName('link')
+          , href;
+        for (var i = 0; i < links.length; i++) {
+            href = links[i].getAttribute('href') || '';
+            if (href.slice(-change.path.length) === change.path) {
+                links[i].setAttribute('href', change.url);
+            }
+        }
+    });
+}
+
+/**
+ * Generate the live-reload client script.
+ *
+ * @param {String} url - the URL of the event stream
+ * @return {String} script
+ */
+
+livereload.script = function (url) {
+    return format('!%s(%s);', client.toString(), JSON.stringify(url));
+};
+
+/**
+ * Start an event stream.
+ *
+ * @param {ServerResponse} response
+ */
+
+livereload.open = function (response) {
+    response.writeHead(200, {
+        'Content-Type': 'text/event-stream'
+      , 'Cache-Control': 'no-cache'
+      , 'Connection': 'keep-alive'
+    });
+    response.write(':ok\n\n');
+};
+
+/**
+ * Send an event to a client.
+ *
+ * @param {ServerResponse} response
+ * @param {String} event - e.g. "reload"
+ * @param {Object} data
+ */
+
+livereload.send = function (response, event, data) {
+    response.write(format('event: %s\ndata: %s\n\n', event, JSON.stringify(data)));
+};
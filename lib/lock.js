@@ -0,0 +1,126 @@
+var path = require('path')
+  , mkdirp = require('mkdirp')
+  , fs = require('fs')
+  , debug = require('debug')('ferguson:lock')
+  , utils = require('./utils');
+
+/**
+ * How often (in milliseconds) to check whether a lock was released.
+ */
+
+var interval = 50;
+
+/**
+ * Acquire a lock file that's shared between processes.
+ *
+ * If another process holds the lock then this waits for it to be released
+ * and passes `false` to the callback instead of acquiring it. Locks that are
+ * older than `timeout` are assumed to be left over from a process that died.
+ *
+ * @param {String} file
+ * @param {Number} timeout - in milliseconds
+ * @param {Function} callback - receives (err, acquired)
+ */
+
+exports.acquire = function (file, timeout, callback) {
+    var waited = false;
+    function attempt() {
+        fs.open(file, 'wx', function (err, fd) {
+            if (!err) {
+                return fs.close(fd, function () {
+                    callback(null, true);
+                });
+            }
+            if (err.code === 'ENOENT') {
+                return mkdirp(path.dirname(file), function (err) {
+                    if (err) return callback(err);
+                    attempt();
+                });
+            }
+            if (err.code !== 'EEXIST') {
+                return callback(err);
+            }
+            wait();
+        });
+    }
+    function wait() {
+        fs.stat(file, function (err, stat) {
+            if (err) {
+                //The lock was released
+                return waited ? callback(null, false) : attempt();
+            }
+            if (Date.now() - stat.mtime.getTime() > timeout) {
+                debug('Breaking stale lock %s', file);
+                return fs.unlink(file, function () {
+                    attempt();
+                });
+            }
+            waited = true;
+            setTimeout(wait, interval);
+        });
+    }
+    attempt();
+};
+
+/**
+ * Try to acquire a lock file without waiting. Stale locks are broken as with
+ * `acquire()`.
+ *
+ * @param {String} file
+ * @param {Number} timeout - in milliseconds
+ * @return {Boolean} acquired - false if another process holds the lock
+ * @throws {Error} when the lock file can't be created
+ */
+
+exports.tryAcquireSync = function (file, timeout) {
+    try {
+        fs.closeSync(fs.openSync(file, 'wx'));
+        return true;
+    } catch (err) {
+        if (err.code === 'ENOENT') {
+            mkdirp.sync(path.dirname(file));
+            return exports.tryAcquireSync(file, timeout);
+        }
+        if (err.code !== 'EEXIST') {
+            throw err;
+        }
+    }
+    var stat;
+    try {
+        stat = fs.statSync(file);
+    } catch (err) {
+        //The lock was released in the meantime
+        return exports.tryAcquireSync(file, timeout);
+    }
+    if (Date.now() - stat.mtime.getTime() > timeout) {
+        debug('Breaking stale lock %s', file);
+        try {
+            fs.unlinkSync(file);
+        } catch (err) {}
+        return exports.tryAcquireSync(file, timeout);
+    }
+    return false;
+};
+
+/**
+ * Release a lock file.
+ *
+ * @param {String} file
+ * @param {Function} callback (optional)
+ */
+
+exports.release = function (file, callback) {
+    fs.unlink(file, callback || utils.noop);
+};
+
+/**
+ * Release a lock file synchronously.
+ *
+ * @param {String} file
+ */
+
+exports.releaseSync = function (file) {
+    try {
+        fs.unlinkSync(file);
+    } catch (err) {}
+};
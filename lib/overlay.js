@@ -0,0 +1,96 @@
+var format = require('util').format
+  , overlay = exports;
+
+/**
+ * Render a compilation error on top of the page.
+ *
+ * @param {Object} error - { message: <message>, location: <file:line:column> }
+ */
+
+function client(error) {
+    function show() {
+        var element = document.createElement('div');
+        element.setAttribute('style', 'position:fixed;top:0;right:0;bottom:0;left:0;' +
+            'z-index:2147483647;overflow:auto;margin:0;padding:2em;background:#fff;' +
+            'color:#c00;font:14px/1.5 monospace;white-space:pre-wrap;');
+        element.textContent = error.message + (error.location ? '\n\n' + error.location : '');
+        document.body.appendChild(element);
+    }
+    if (document.body) {
+        show();
+    } else {
+        document.addEventListener('DOMContentLoaded', show);
+    }
+}
+
+/**
+ * Describe an error for display.
+ *
+ * @param {Error} err
+ * @return {Object} { message: <message>, location: <file:line:column> }
+ */
+
+overlay.describe = function (err) {
+    var location = err.file || '';
+    if (location && err.line) {
+        location += ':' + err.line;
+        if (typeof err.column === 'number') {
+            location += ':' + err.column;
+        }
+    }
+    return {
+        message: err.message
+      , location: location
+    };
+};
+
+/**
+ * Escape a string for use in a CSS string literal.
+ *
+ * @param {String} str
+ * @return {String}
+ */
+
+function cssString(str) {
+    return '"' + str.replace(/\\/g, '\\\\').replace(/"/g, '\\"')
+        .replace(/\r?\n/g, '\\A ') + '"';
+}
+
+/**
+ * Generate the replacement for an asset that failed to compile, keyed by
+ * asset extension.
+ */
+
+overlay.formatters = {
+    '.js': function (err) {
+        return format('!%s(%s);', client.toString(), JSON.stringify(overlay.describe(err)));
+    }
+  , '.css': function (err) {
+        var error = overlay.describe(err)
+          , text = error.message + (error.location ? '\n\n' + error.location : '');
+        return 'body::before{content:' + cssString(text) + ';display:block;' +
+            'position:fixed;top:0;right:0;left:0;z-index:2147483647;margin:0;' +
+            'padding:2em;background:#fff;color:#c00;font:14px/1.5 monospace;' +
+            'white-space:pre-wrap;}';
+    }
+};
+
+/**
+ * Respond with an overlay that displays a compilation error. Browsers ignore
+ * scripts and stylesheets that are served with an error status, so the
+ * overlay is served with a 200.
+ *
+ * @param {ServerResponse} response
+ * @param {String} extname - e.g. ".css"
+ * @param {Error} err
+ */
+
+overlay.send = function (response, extname, err) {
+    var body = overlay.formatters[extname](err);
+    response.writeHead(200, {
+        'Content-Type': extname === '.css' ? 'text/css' : 'application/javascript'
+      , 'Content-Length': Buffer.byteLength(body)
+      , 'Cache-Control': 'no-cache'
+    });
+    response.end(body);
+};
@@ -0,0 +1,218 @@
+var fork = require('child_process').fork
+  , format = require('util').format
+  , debug = require('debug')('ferguson:pool');
+
+/**
+ * A pool of child processes that run jobs off the main event loop.
+ *
+ * Each worker receives one job at a time as a message and replies with
+ * either `{ result: <result> }` or `{ error: <message> }`. Errors can also
+ * include the `line`, `col` and `column` that the job failed at. Workers that
+ * time out or fail are killed and replaced.
+ *
+ * @param {String} script - the worker module
+ * @param {Object} options (optional) - `size` and `timeout` (in milliseconds)
+ */
+
+function WorkerPool(script, options) {
+    options = options || {};
+    this.script = script;
+    this.size = options.size || 1;
+    this.timeout = options.timeout || 0;
+    this.workers = [];
+    this.queue = [];
+}
+
+exports.WorkerPool = WorkerPool;
+
+/**
+ * Run a job in the next available worker.
+ *
+ * @param {Object} job - sent to the worker as a message
+ * @param {Function} callback - receives (err, result)
+ */
+
+WorkerPool.prototype.run = function (job, callback) {
+    this.queue.push({ job: job, callback: callback });
+    this.dispatch();
+};
+
+/**
+ * Hand queued jobs to idle workers, starting new workers when the pool isn't
+ * full.
+ */
+
+WorkerPool.prototype.dispatch = function () {
+    var worker;
+    while (this.queue.length) {
+        worker = this.getIdleWorker();
+        if (!worker) {
+            return;
+        }
+        this.assign(worker, this.queue.shift());
+    }
+};
+
+/**
+ * Get an idle worker.
+ *
+ * @return {ChildProcess} worker
+ */
+
+WorkerPool.prototype.getIdleWorker = function () {
+    for (var i = 0; i < this.workers.length; i++) {
+        if (!this.workers[i].task) {
+            return this.workers[i];
+        }
+    }
+    if (this.workers.length < this.size) {
+        return this.spawn();
+    }
+    return null;
+};
+
+/**
+ * Start a worker.
+ *
+ * @return {ChildProcess} worker
+ */
+
+WorkerPool.prototype.spawn = function () {
+    var worker = fork(this.script)
+      , self = this;
+    debug('Started worker %d', worker.pid);
+    worker.on('message', function (message) {
+        var task = worker.task;
+        if (!task) {
+            return;
+        }
+        self.release(worker);
+        if (message.error) {
+            return task.callback(createError(message));
+        }
+        task.callback(null, message.result);
+    });
+    //The worker failed to start or its channel closed before a job could be
+    //sent to it
+    worker.on('error', function (err) {
+        var task = worker.task;
+        debug('Worker %d failed: %s', worker.pid, err.message);
+        worker.task = null;
+        self.remove(worker);
+        worker.kill();
+        if (task) {
+            clearTimeout(task.timeout);
+            task.callback(err);
+        }
+        self.dispatch();
+    });
+    worker.on('exit', function (code) {
+        var task = worker.task;
+        debug('Worker %d exited', worker.pid);
+        self.remove(worker);
+        if (task) {
+            clearTimeout(task.timeout);
+            task.callback(new Error(format('The worker exited with code %s', code)));
+        }
+        self.dispatch();
+    });
+    this.workers.push(worker);
+    return worker;
+};
+
+/**
+ * Send a job to a worker.
+ *
+ * @param {ChildProcess} worker
+ * @param {Object} task
+ */
+
+WorkerPool.prototype.assign = function (worker, task) {
+    var self = this;
+    worker.task = task;
+    setReferenced(worker, true);
+    if (this.timeout) {
+        task.timeout = setTimeout(function () {
+            debug('Worker %d timed out', worker.pid);
+            worker.task = null;
+            self.remove(worker);
+            worker.kill();
+            task.callback(new Error(format('The job timed out after %dms', self.timeout)));
+            self.dispatch();
+        }, this.timeout);
+    }
+    worker.send(task.job);
+};
+
+/**
+ * Mark a worker as idle and hand it the next job.
+ *
+ * @param {ChildProcess} worker
+ */
+
+WorkerPool.prototype.release = function (worker) {
+    clearTimeout(worker.task.timeout);
+    worker.task = null;
+    setReferenced(worker, false);
+    this.dispatch();
+};
+
+/**
+ * Remove a worker from the pool.
+ *
+ * @param {ChildProcess} worker
+ */
+
+WorkerPool.prototype.remove = function (worker) {
+    var index = this.workers.indexOf(worker);
+    if (index >= 0) {
+        this.workers.splice(index, 1);
+    }
+};
+
+/**
+ * Stop all workers. Queued jobs fail.
+ */
+
+WorkerPool.prototype.close = function () {
+    var queue = this.queue;
+    this.queue = [];
+    this.workers.forEach(function (worker) {
+        worker.kill();
+    });
+    queue.forEach(function (task) {
+        task.callback(new Error('The worker pool was closed'));
+    });
+};
+
+/**
+ * Rebuild an error that a worker reported.
+ *
+ * @param {Object} message
+ * @return {Error} err
+ */
+
+function createError(message) {
+    var err = new Error(message.error);
+    [ 'line', 'col', 'column' ].forEach(function (key) {
+        if (typeof message[key] === 'number') {
+            err[key] = message[key];
+        }
+    });
+    return err;
+}
+
+/**
+ * Idle workers shouldn't keep the process alive.
+ *
+ * @param {ChildProcess} worker
+ * @param {Boolean} referenced
+ */
+
+function setReferenced(worker, referenced) {
+    var method = referenced ? 'ref' : 'unref';
+    worker[method]();
+    if (worker.channel && worker.channel[method]) {
+        worker.channel[method]();
+    }
+}
@@ -0,0 +1,137 @@
+var SourceMapGenerator = require('source-map').SourceMapGenerator
+  , SourceMapConsumer = require('source-map').SourceMapConsumer
+  , format = require('util').format
+  , path = require('path')
+  , sourcemaps = exports;
+
+/**
+ * Comments that link a compiled asset to its source map.
+ */
+
+sourcemaps.comments = {
+    '.js': '//# sourceMappingURL=%s'
+  , '.css': '/*# sourceMappingURL=%s */'
+};
+
+/**
+ * Parse a source map.
+ *
+ * @param {String|Object} map
+ * @return {Object}
+ */
+
+sourcemaps.parse = function (map) {
+    return typeof map === 'string' ? JSON.parse(map) : map;
+};
+
+/**
+ * Rewrite the sources of a map so that they're relative to another directory.
+ *
+ * @param {String|Object} map
+ * @param {String} from - the directory that sources are currently relative to
+ * @param {String} to
+ * @return {Object} map
+ */
+
+sourcemaps.rebase = function (map, from, to) {
+    map = sourcemaps.parse(map);
+    var root = map.sourceRoot || '';
+    map.sources = map.sources.map(function (source) {
+        return path.relative(to, path.resolve(from, root, source));
+    });
+    delete map.sourceRoot;
+    return map;
+};
+
+/**
+ * Generate a source map for the concatenation of one or more files.
+ *
+ * Files without their own map are mapped line by line.
+ *
+ * @param {String} file - the filename of the output
+ * @param {Array} members - [{ source: <path>, contents: <String>, map: <Object> }, ...]
+ * @param {String} prefix (optional) - content that precedes the first file
+ * @return {Object} map
+ */
+
+sourcemaps.concat = function (file, members, prefix) {
+    var generator = new SourceMapGenerator({ file: file })
+      , line = 1, column = 0;
+    function advance(contents) {
+        var lines = contents.split('\n')
+          , last = lines[lines.length - 1];
+        column = lines.length > 1 ? last.length : column + last.length;
+        line += lines.length - 1;
+        return lines;
+    }
+    if (prefix && members.length) {
+        generator.addMapping({
+            generated: { line: 1, column: 0 }
+          , original: { line: 1, column: 0 }
+          , source: members[0].source
+        });
+        advance(prefix);
+    }
+    members.forEach(function (member) {
+        var startLine = line, startColumn = column
+          , lines = advance(member.contents.toString());
+        if (member.map) {
+            new SourceMapConsumer(member.map).eachMapping(function (mapping) {
+                if (mapping.source === null) {
+                    return;
+                }
+                generator.addMapping({
+                    generated: {
+                        line: startLine + mapping.generatedLine - 1
+                      , column: mapping.generatedColumn +
+                            (mapping.generatedLine === 1 ? startColumn : 0)
+                    }
+                  , original: { line: mapping.originalLine, column: mapping.originalColumn }
+                  , source: mapping.source
+                  , name: mapping.name
+                });
+            });
+            return;
+        }
+        lines.forEach(function (contents, i) {
+            if (!contents.length) {
+                return;
+            }
+            generator.addMapping({
+                generated: { line: startLine + i, column: i ? 0 : startColumn }
+              , original: { line: i + 1, column: 0 }
+              , source: member.source
+            });
+        });
+    });
+    return generator.toJSON();
+};
+
+/**
+ * Chain a map onto the map of its input, e.g. when compressing a bundle.
+ *
+ * @param {String|Object} map - a map with a single source
+ * @param {Object} upstream - the map of that source
+ * @return {Object} map
+ */
+
+sourcemaps.apply = function (map, upstream) {
+    var consumer = new SourceMapConsumer(sourcemaps.parse(map))
+      , generator = SourceMapGenerator.fromSourceMap(consumer);
+    generator.applySourceMap(new SourceMapConsumer(upstream), consumer.sources[0]);
+    map = generator.toJSON();
+    map.file = upstream.file;
+    return map;
+};
+
+/**
+ * Generate the comment that links an asset to its source map.
+ *
+ * @param {String} extname
+ * @param {String} url
+ * @return {String}
+ */
+
+sourcemaps.comment = function (extname, url) {
+    return format(sourcemaps.comments[extname], url);
+};
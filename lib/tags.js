@@ -67,9 +67,69 @@ function image(url, options, attributes) {
     tags[ext] = image;
 });
 
+/**
+ * The `as` and `type` of resource hints for each type of asset.
+ */
+
+tags.hints = {
+    '.js': { as: 'script' }
+  , '.css': { as: 'style' }
+  , '.woff': { as: 'font', type: 'font/woff' }
+  , '.woff2': { as: 'font', type: 'font/woff2' }
+  , '.ttf': { as: 'font', type: 'font/ttf' }
+  , '.otf': { as: 'font', type: 'font/otf' }
+  , '.jpg': { as: 'image', type: 'image/jpeg' }
+  , '.jpeg': { as: 'image', type: 'image/jpeg' }
+  , '.gif': { as: 'image', type: 'image/gif' }
+  , '.png': { as: 'image', type: 'image/png' }
+  , '.bmp': { as: 'image', type: 'image/bmp' }
+  , '.svg': { as: 'image', type: 'image/svg+xml' }
+};
+
+/**
+ * Generate a <link> tag for a resource hint, e.g. rel="preload".
+ *
+ * @param {String} rel
+ * @param {String} url
+ * @param {Object} options
+ * @param {Object} attributes - should include `as` and optionally `type` and `crossorigin`
+ * @return {String} html
+ */
+
+tags.hint = function (rel, url, options, attributes) {
+    attributes.rel = rel;
+    return format('<link href="%s"%s />',
+        url, tags.stringify(attributes, options));
+};
+
+/**
+ * Create a tag format for a type of font. Fonts can't be referenced from HTML
+ * directly so the format generates a preload <link> tag. Fonts are always
+ * fetched in CORS mode, which the preload has to match.
+ *
+ * @param {String} ext
+ * @return {Function} format - (url, options, attributes)
+ */
+
+function font(ext) {
+    return function (url, options, attributes) {
+        attributes.as = attributes.as || 'font';
+        attributes.type = attributes.type || tags.hints[ext].type;
+        attributes.crossorigin = attributes.crossorigin || 'anonymous';
+        return tags.hint(attributes.rel || 'preload', url, options, attributes);
+    };
+}
+
+['.woff', '.woff2', '.ttf', '.otf'].forEach(function (ext) {
+    tags[ext] = font(ext);
+});
+
 /**
  * Stringify an object containing HTML attributes.
  *
+ * Boolean attributes are output when they're `true`, e.g. `async` in html5
+ * mode or `async="async"` otherwise, and omitted when they're `false`.
+ *
  * @param {Object} attributes
  * @param {Object} options
  * @return {String}
@@ -78,7 +138,14 @@ function image(url, options, attributes) {
 tags.stringify = function (attributes, options) {
     var level = options.html5 ? 2 : 1;
     return Object.keys(attributes).sort().reduce(function (accumulator, key) {
-        var attribute = format(' %s="%s"', key, entities.encode(attributes[key] + '', level));
+        var value = attributes[key];
+        if (value === false || value === null || typeof value === 'undefined') {
+            return accumulator;
+        }
+        if (value === true) {
+            return accumulator + (options.html5 ? ' ' + key : format(' %s="%s"', key, key));
+        }
+        var attribute = format(' %s="%s"', key, entities.encode(value + '', level));
         return accumulator + attribute;
     }, '');
 };
@@ -1,4 +1,5 @@
 var crypto = require('crypto')
+  , format = require('util').format
   , path = require('path')
   , fs = require('fs')
   , utils = exports;
@@ -57,6 +58,19 @@ utils.hashString = function (str, hash) {
     return crypto.createHash(hash).update(str).digest('hex');
 };
 
+/**
+ * Generate a subresource integrity digest, e.g. "sha384-<base64>".
+ *
+ * @param {String|Buffer} str
+ * @param {String} algorithm - sha256, sha384 or sha512
+ * @return {String}
+ */
+
+utils.integrity = function (str, algorithm) {
+    var digest = crypto.createHash(algorithm).update(str).digest('base64');
+    return algorithm + '-' + digest;
+};
+
 /**
  * Escape regular expression tokens in a string.
  *
@@ -124,6 +138,104 @@ utils.toExtname = function (ext) {
     return ext;
 };
 
+/**
+ * Check whether an Accept-Encoding header accepts an encoding.
+ *
+ * @param {String} header
+ * @param {String} encoding - e.g. gzip
+ * @return {Boolean}
+ */
+
+utils.acceptsEncoding = function (header, encoding) {
+    var accepted = {};
+    (header || '').split(',').forEach(function (part) {
+        var params = part.trim().split(';')
+          , name = params.shift().trim().toLowerCase()
+          , quality = 1;
+        params.forEach(function (param) {
+            param = param.trim().split('=');
+            if (param[0] === 'q') {
+                quality = parseFloat(param[1]);
+            }
+        });
+        if (name) {
+            accepted[name] = quality;
+        }
+    });
+    if (encoding in accepted) {
+        return accepted[encoding] > 0;
+    }
+    return accepted['*'] > 0;
+};
+
+/**
+ * The number of temporary filenames generated so far.
+ */
+
+var tempFiles = 0;
+
+/**
+ * Get a unique temporary filename to write to before renaming it to the
+ * final filename.
+ *
+ * @param {String} file
+ * @return {String}
+ */
+
+utils.tempFilename = function (file) {
+    return format('%s.%d-%d.tmp', file, process.pid, tempFiles++);
+};
+
+/**
+ * Write a file atomically, i.e. readers either see the previous version of
+ * the file or the complete new version.
+ *
+ * @param {String} file
+ * @param {String|Buffer} contents
+ * @param {Object} options (optional) - passed to fs.writeFile()
+ * @param {Function} callback
+ */
+
+utils.writeFileAtomic = function (file, contents, options, callback) {
+    if (typeof options === 'function') {
+        callback = options;
+        options = {};
+    }
+    var temp = utils.tempFilename(file);
+    fs.writeFile(temp, contents, options, function (err) {
+        if (err) {
+            fs.unlink(temp, utils.noop);
+            return callback(err);
+        }
+        fs.rename(temp, file, function (err) {
+            if (err) {
+                fs.unlink(temp, utils.noop);
+            }
+            callback(err);
+        });
+    });
+};
+
+/**
+ * Write a file atomically and synchronously.
+ *
+ * @param {String} file
+ * @param {String|Buffer} contents
+ */
+
+utils.writeFileAtomicSync = function (file, contents) {
+    var temp = utils.tempFilename(file);
+    try {
+        fs.writeFileSync(temp, contents);
+        fs.renameSync(temp, file);
+    } catch (err) {
+        try {
+            fs.unlinkSync(temp);
+        } catch (e) {}
+        throw err;
+    }
+};
+
 /**
  * A noop function.
  */
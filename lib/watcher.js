@@ -0,0 +1,164 @@
+var EventEmitter = require('events').EventEmitter
+  , inherits = require('util').inherits
+  , path = require('path')
+  , fs = require('fs')
+  , debug = require('debug')('ferguson:watcher')
+  , utils = require('./utils');
+
+/**
+ * Watch a directory and its subdirectories for changes.
+ *
+ * Raw events are coalesced until the directory has been quiet for `delay`
+ * milliseconds, at which point a single `change` event is emitted with the
+ * files that were added, modified or removed. Removed directories are
+ * reported by name.
+ *
+ * @param {String} dir
+ * @param {Object} options (optional) - `delay` and an `ignore(file)` function
+ */
+
+function Watcher(dir, options) {
+    options = options || {};
+    this.dir = dir;
+    this.delay = 'delay' in options ? options.delay : 50;
+    this.ignore = options.ignore || function () {
+        return false;
+    };
+    this.watchers = {};
+    this.pending = {};
+    this.timeout = null;
+}
+
+inherits(Watcher, EventEmitter);
+
+exports.Watcher = Watcher;
+
+/**
+ * Start watching the directory.
+ *
+ * @return {Watcher} this
+ */
+
+Watcher.prototype.start = function () {
+    debug('Watching directory %s for changes', this.dir);
+    this.watch('');
+    return this;
+};
+
+/**
+ * Watch a subdirectory and each directory below it.
+ *
+ * @param {String} dir - relative to the watched directory
+ */
+
+Watcher.prototype.watch = function (dir) {
+    if (dir in this.watchers) {
+        return;
+    }
+    var absolute = path.join(this.dir, dir)
+      , self = this, entries;
+    try {
+        this.watchers[dir] = fs.watch(absolute, function (event, filename) {
+            //Some platforms don't provide the filename, so check the directory
+            self.schedule(filename ? path.join(dir, filename) : dir);
+        });
+        this.watchers[dir].on('error', function () {
+            self.schedule(dir);
+        });
+        entries = fs.readdirSync(absolute);
+    } catch (err) {
+        this.unwatch(dir);
+        return;
+    }
+    entries.forEach(function (filename) {
+        var file = path.join(dir, filename);
+        try {
+            if (!self.ignore(file) && fs.statSync(path.join(self.dir, file)).isDirectory()) {
+                self.watch(file);
+            }
+        } catch (err) {}
+    });
+};
+
+/**
+ * Stop watching a subdirectory and each directory below it.
+ *
+ * @param {String} dir
+ */
+
+Watcher.prototype.unwatch = function (dir) {
+    var prefix = dir + path.sep;
+    for (var watched in this.watchers) {
+        if (watched === dir || !dir || watched.indexOf(prefix) === 0) {
+            this.watchers[watched].close();
+            delete this.watchers[watched];
+        }
+    }
+};
+
+/**
+ * Queue a file to be checked once the directory has been quiet for a while.
+ *
+ * @param {String} file
+ */
+
+Watcher.prototype.schedule = function (file) {
+    if (file && this.ignore(file)) {
+        return;
+    }
+    this.pending[file] = true;
+    clearTimeout(this.timeout);
+    this.timeout = setTimeout(this.flush.bind(this), this.delay);
+};
+
+/**
+ * Check each queued file and emit the changes as a single batch.
+ */
+
+Watcher.prototype.flush = function () {
+    var pending = Object.keys(this.pending)
+      , changes = []
+      , self = this;
+    this.pending = {};
+    this.timeout = null;
+    pending.forEach(function (file) {
+        var stat;
+        try {
+            stat = fs.statSync(path.join(self.dir, file));
+        } catch (err) {
+            self.unwatch(file);
+            changes.push(file);
+            return;
+        }
+        if (!stat.isDirectory()) {
+            changes.push(file);
+            return;
+        }
+        //Report the contents of new directories, and rescan directories whose
+        //events didn't include a filename
+        var watched = file in self.watchers;
+        self.watch(file);
+        if (!watched || !file) {
+            utils.walkDirectory(path.join(self.dir, file), file).forEach(function (entry) {
+                if (!self.ignore(entry.name)) {
+                    changes.push(entry.name);
+                }
+            });
+        }
+    });
+    changes = utils.stripDuplicates(changes);
+    if (changes.length) {
+        debug('Detected changes in %s', changes.join(', '));
+        this.emit('change', changes);
+    }
+};
+
+/**
+ * Stop watching the directory.
+ */
+
+Watcher.prototype.close = function () {
+    clearTimeout(this.timeout);
+    this.pending = {};
+    this.unwatch('');
+};
@@ -0,0 +1,25 @@
+var compressors = require('./compressors');
+
+/**
+ * Compress assets on behalf of the worker pool.
+ *
+ * Jobs look like `{ extname: '.js', contents: <String>, options: <Object> }`.
+ */
+
+process.on('message', function (job) {
+    var compressed;
+    try {
+        compressed = compressors[job.extname](new Buffer(job.contents), job.options);
+    } catch (err) {
+        return process.send({
+            error: err.message
+          , line: err.line
+          , col: err.col
+          , column: err.column
+        });
+    }
+    if (Buffer.isBuffer(compressed)) {
+        compressed = compressed.toString();
+    }
+    process.send({ result: compressed });
+});
@@ -0,0 +1,157 @@
+var assert = require('assert')
+  , path = require('path')
+  , http = require('http')
+  , rimraf = require('rimraf')
+  , connect = require('connect')
+  , Koa = require('koa')
+  , port = 13435;
+
+var Ferguson = require('../').Ferguson
+  , fixtures = path.join(__dirname, 'fixtures');
+
+function serve(handler, callback) {
+    var server = http.createServer(handler)
+      , port_ = port++;
+    server.listen(port_);
+    function request(uri, callback) {
+        http.get({ hostname: 'localhost', port: port_, path: uri }, function (response) {
+            var body = '';
+            response.on('data', function (chunk) {
+                body += chunk;
+            }).on('end', function () {
+                callback(null, response, body);
+            });
+        });
+    }
+    request.port = port_;
+    callback(request, function (done) {
+        server.close();
+        done();
+    });
+}
+
+describe('Adapters', function () {
+
+    it('should provide a standalone request handler', function (done) {
+        var assets = path.join(fixtures, 'simple-assets')
+          , manager = new Ferguson(assets)
+          , handler = manager.handler();
+        serve(function (request, response) {
+            handler(request, response);
+        }, function (request, next) {
+            var jquery = manager.assetPath('jquery.js');
+            rimraf.sync(path.join(assets, jquery));
+            request(jquery, function (err, response, body) {
+                assert.ifError(err);
+                assert.equal(response.statusCode, 200);
+                assert.equal(body.trim(), 'window.jQuery = {};');
+                request('/asset-123456-jquery.js', function (err, response) {
+                    assert.ifError(err);
+                    assert.equal(response.statusCode, 404);
+                    next(done);
+                });
+            });
+        });
+    });
+
+    it('should pass unknown requests to the next handler', function (done) {
+        var manager = new Ferguson(path.join(fixtures, 'simple-assets'), {
+            servePrefix: '/static'
+        });
+        var handler = manager.handler();
+        serve(function (request, response) {
+            handler(request, response, function (err) {
+                assert.ifError(err);
+                response.end('next ' + request.url);
+            });
+        }, function (request, next) {
+            request('/static/jquery.js', function (err, response, body) {
+                assert.ifError(err);
+                assert.equal(body.trim(), 'window.jQuery = {};');
+                request('/staticfoo/jquery.js', function (err, response, body) {
+                    assert.ifError(err);
+                    assert.equal(body, 'next /staticfoo/jquery.js');
+                    request('/static/missing.js?foo', function (err, response, body) {
+                        assert.ifError(err);
+                        assert.equal(body, 'next /static/missing.js?foo');
+                        next(done);
+                    });
+                });
+            });
+        });
+    });
+
+    it('should provide a connect middleware', function (done) {
+        var manager = new Ferguson(path.join(fixtures, 'simple-assets'))
+          , app = connect();
+        manager.bind(app);
+        app.use(function (request, response) {
+            response.end(response.locals.asset('jquery.js'));
+        });
+        serve(app, function (request, next) {
+            request('/', function (err, response, body) {
+                assert.ifError(err);
+                assert.equal(body, '<script src="/asset-82470a0982f62504-jquery.js" ' +
+                    'type="text/javascript"></script>');
+                request('/jquery.js', function (err, response, body) {
+                    assert.ifError(err);
+                    assert.equal(body.trim(), 'window.jQuery = {};');
+                    next(done);
+                });
+            });
+        });
+    });
+
+    it('should provide a Koa middleware', function (done) {
+        var assets = path.join(fixtures, 'simple-assets')
+          , manager = new Ferguson(assets)
+          , app = new Koa();
+        app.use(manager.koa());
+        app.use(function (ctx) {
+            ctx.body = ctx.state.asset.path('jquery.js');
+        });
+        serve(app.callback(), function (request, next) {
+            request('/', function (err, response, body) {
+                assert.ifError(err);
+                assert.equal(response.statusCode, 200);
+                rimraf.sync(path.join(assets, body));
+                request(body, function (err, response, body) {
+                    assert.ifError(err);
+                    assert.equal(response.statusCode, 200);
+                    assert.equal(body.trim(), 'window.jQuery = {};');
+                    next(done);
+                });
+            });
+        });
+    });
+
+    it('should settle the Koa middleware when a response closes early', function (done) {
+        var manager = new Ferguson(path.join(fixtures, 'simple-assets'), { hotReload: true })
+          , middleware = manager.koa()
+          , app = new Koa()
+          , finish;
+        app.use(function (ctx, next) {
+            return middleware(ctx, next).then(function () {
+                manager.destroy();
+                finish(done);
+            });
+        });
+        serve(app.callback(), function (request, next) {
+            finish = next;
+            //The live-reload stream never finishes by itself
+            http.get({ hostname: 'localhost', port: request.port, path: '/__live-reload' }, function (response) {
+                assert.equal(response.headers['content-type'], 'text/event-stream');
+                response.destroy();
+            });
+        });
+    });
+
+    it('should provide a view helper without an app', function () {
+        var manager = new Ferguson(path.join(fixtures, 'simple-assets'))
+          , helper = manager.helper();
+        assert.equal(helper.path('jquery.js'), '/asset-82470a0982f62504-jquery.js');
+        assert.equal(helper('jquery.js'), '<script src="/asset-82470a0982f62504-jquery.js" ' +
+            'type="text/javascript"></script>');
+    });
+
+});
@@ -0,0 +1,211 @@
+var assert = require('assert')
+  , path = require('path')
+  , execFile = require('child_process').execFile
+  , format = require('util').format
+  , rimraf = require('rimraf')
+  , fs = require('fs');
+
+var Ferguson = require('../').Ferguson
+  , temp = path.join(__dirname, 'tmp')
+  , bin = path.join(__dirname, '..', 'bin', 'ferguson');
+
+function setup() {
+    rimraf.sync(temp);
+    fs.mkdirSync(temp);
+    fs.writeFileSync(path.join(temp, 'foo.js'), 'var foo;');
+    fs.writeFileSync(path.join(temp, 'bar.js'), 'var bar;');
+}
+
+describe('Build', function () {
+
+    it('should compile every defined asset', function (done) {
+        setup();
+        var manager = new Ferguson(temp);
+        var foo = manager.assetPath('foo.js')
+          , all = manager.assetPath('all.js', { include: [ 'foo.js', 'bar.js' ] });
+        manager.build(function (err) {
+            assert.ifError(err);
+            assert.equal(fs.readFileSync(path.join(temp, foo)).toString(), 'var foo;');
+            assert.equal(fs.readFileSync(path.join(temp, all)).toString(), 'var foo;var bar;');
+            done();
+        });
+    });
+
+    it('should collect compilation errors', function (done) {
+        setup();
+        var manager = new Ferguson(temp, {
+            compress: true
+          , compressors: { '.js': function () {
+                throw new Error('Oops');
+            }}
+        });
+        manager.assetPath('foo.js');
+        manager.assetPath('bar.js');
+        manager.build(function (err) {
+            assert(err, 'Expected an error');
+            assert.equal(err.message, 'Failed to build 2 asset(s)');
+            assert.equal(err.errors.length, 2);
+            assert(err.errors[0].message.indexOf('Oops') >= 0, 'Expected the compressor error');
+            done();
+        });
+    });
+
+    it('should write the asset definitions to a build manifest', function (done) {
+        setup();
+        var manager = new Ferguson(temp);
+        var all = manager.assetPath('all.js', { include: [ 'foo.js', 'bar.js' ] });
+        manager.build(function (err) {
+            assert.ifError(err);
+            var manifestPath = path.join(temp, '.asset-build-manifest')
+              , manifest = JSON.parse(fs.readFileSync(manifestPath).toString());
+            assert.deepEqual(manifest, {
+                'all.js': {
+                    path: all
+                  , assets: [ 'foo.js', 'bar.js' ]
+                  , dependencies: []
+                  , options: { include: [ 'foo.js', 'bar.js' ] }
+                }
+            });
+            done();
+        });
+    });
+
+    it('should provide a command line interface', function (done) {
+        setup();
+        var module = path.join(temp, 'assets.conf');
+        fs.writeFileSync(module, [
+            'var ferguson = require(' + JSON.stringify(path.join(__dirname, '..')) + ');'
+          , 'var manager = module.exports = ferguson(__dirname);'
+          , 'manager.asset("foo.js");'
+        ].join('\n'));
+        execFile(process.execPath, [ bin, 'build', module ], function (err, stdout) {
+            assert.ifError(err);
+            var compiled = fs.readdirSync(temp).filter(function (file) {
+                return file.indexOf('asset-') === 0;
+            });
+            assert.deepEqual(compiled, [ 'asset-50b4fc50254058c7-foo.js' ]);
+            assert.equal(stdout.trim(), 'Built /asset-50b4fc50254058c7-foo.js');
+            done();
+        });
+    });
+
+    it('should exit once the build is complete when watching for changes', function (done) {
+        setup();
+        var module = path.join(temp, 'assets.conf');
+        fs.writeFileSync(module, [
+            'var ferguson = require(' + JSON.stringify(path.join(__dirname, '..')) + ');'
+          , 'var manager = module.exports = ferguson(__dirname, { hotReload: true });'
+          , 'manager.asset("foo.js");'
+        ].join('\n'));
+        execFile(process.execPath, [ bin, 'build', module ], { timeout: 5000 }, function (err, stdout) {
+            assert.ifError(err);
+            assert.equal(stdout.trim(), 'Built /asset-50b4fc50254058c7-foo.js');
+            done();
+        });
+    });
+
+    it('should exit with a non-zero status when the build fails', function (done) {
+        setup();
+        var module = path.join(temp, 'assets.conf');
+        fs.writeFileSync(module, [
+            'var ferguson = require(' + JSON.stringify(path.join(__dirname, '..')) + ');'
+          , 'var manager = module.exports = ferguson(__dirname, { compress: true });'
+          , 'manager.registerCompressor(".js", function () { throw new Error("Oops"); });'
+          , 'manager.asset("foo.js");'
+        ].join('\n'));
+        execFile(process.execPath, [ bin, 'build', module ], function (err, stdout, stderr) {
+            assert(err, 'Expected the process to fail');
+            assert.equal(err.code, 1);
+            assert(stderr.indexOf('Oops') >= 0, 'Expected the compressor error');
+            done();
+        });
+    });
+
+});
+
+describe('Read-only mode', function () {
+
+    function build(callback) {
+        setup();
+        var manager = new Ferguson(temp);
+        manager.assetPath('all.js', { include: [ 'foo.js', 'bar.js' ] });
+        manager.build(function (err) {
+            assert.ifError(err);
+            callback(manager.pendingAssets['all.js'].path);
+        });
+    }
+
+    it('should resolve assets from the build manifest', function (done) {
+        build(function (expected) {
+            //Modifying a source file shouldn't affect the compiled path
+            fs.writeFileSync(path.join(temp, 'foo.js'), 'var baz;');
+            fs.unlinkSync(path.join(temp, '.asset-manifest'));
+            var manager = new Ferguson(temp, { readOnly: true, urlPrefix: 'http://cdn.com' });
+            assert.equal(manager.assetPath('all.js'), expected);
+            assert.equal(manager.assetUrl('all.js'), 'http://cdn.com' + expected);
+            assert.equal(manager.asset('all.js', { attributes: { id: 'foo' }}),
+                '<script src="http://cdn.com' + expected + '" id="foo" ' +
+                    'type="text/javascript"></script>');
+            assert.deepEqual(manager.assets, {});
+            assert(!fs.existsSync(path.join(temp, '.asset-manifest')),
+                'Expected the manifest to be left alone');
+            done();
+        });
+    });
+
+    it('should inline assets from their compiled files', function (done) {
+        build(function () {
+            fs.writeFileSync(path.join(temp, 'foo.js'), 'var baz;');
+            var manager = new Ferguson(temp, { readOnly: true });
+            assert.equal(manager.asset('all.js', { inline: true }),
+                '<script type="text/javascript">var foo;var bar;</script>');
+            done();
+        });
+    });
+
+    it('should emit an error when an asset isn\'t in the build manifest', function (done) {
+        build(function () {
+            var manager = new Ferguson(temp, { readOnly: true })
+              , had_error = false;
+            manager.on('error', function (err) {
+                assert.equal(err.message, 'Asset "foo.js" is not defined in the build manifest');
+                had_error = true;
+            });
+            assert.equal(manager.assetPath('foo.js'), '');
+            assert(had_error, 'Expected an error');
+            done();
+        });
+    });
+
+    it('should output separate tags for the files of a bundle', function (done) {
+        setup();
+        var manager = new Ferguson(temp, { separateBundles: true, html5: true });
+        manager.asset('all.js', { include: [ 'foo.js', 'bar.js' ] });
+        manager.build(function (err) {
+            assert.ifError(err);
+            var expected = manager.asset('all.js');
+            manager = new Ferguson(temp, { separateBundles: true, html5: true, readOnly: true });
+            manager.on('error', done);
+            assert.equal(manager.asset('all.js', { include: [ 'foo.js', 'bar.js' ] }), expected);
+            assert.equal(expected, [
+                format('<script src="%s"></script>', manager.assetPath('foo.js'))
+              , format('<script src="%s"></script>', manager.assetPath('bar.js'))
+            ].join('\n'));
+            done();
+        });
+    });
+
+    it('should emit an error when the build manifest is missing', function () {
+        setup();
+        var manager = new Ferguson(temp, { readOnly: true })
+          , had_error = false;
+        manager.on('error', function (err) {
+            assert(err.message.indexOf('Failed to load the build manifest') === 0,
+                'Expected a build manifest error');
+            had_error = true;
+        });
+        manager.init();
+        assert(had_error, 'Expected an error');
+    });
+
+});
@@ -0,0 +1,131 @@
+var assert = require('assert')
+  , path = require('path')
+  , rimraf = require('rimraf')
+  , fs = require('fs');
+
+var Ferguson = require('../').Ferguson
+  , temp = path.join(__dirname, 'tmp')
+  , cacheDir = path.join(temp, 'cache');
+
+function setup(options) {
+    rimraf.sync(temp);
+    fs.mkdirSync(temp);
+    fs.mkdirSync(path.join(temp, 'src'));
+    [ 'foo', 'bar', 'baz' ].forEach(function (name) {
+        fs.writeFileSync(path.join(temp, 'src', name + '.txt'), name);
+    });
+    return create(options);
+}
+
+function create(options) {
+    var manager = new Ferguson(path.join(temp, 'src'), options);
+    manager.compiled = [];
+    manager.registerCompiler('.txt', '.js', function (file, buffer) {
+        manager.compiled.push(path.basename(file));
+        return 'var ' + buffer.toString() + ';';
+    });
+    return manager;
+}
+
+function compile(manager, callback) {
+    manager.assetPath('all.js', { include: [ 'foo.js', 'bar.js', 'baz.js' ] });
+    var asset = manager.pendingAssets['all.js'];
+    manager.compileAsset(asset, function (err) {
+        assert.ifError(err);
+        callback(fs.readFileSync(manager.getOutputPath(asset)).toString());
+    });
+}
+
+describe('Compile cache', function () {
+
+    it('should only recompile the members of a bundle that changed', function (done) {
+        var manager = setup();
+        compile(manager, function (contents) {
+            assert.equal(contents, 'var foo;var bar;var baz;');
+            assert.deepEqual(manager.compiled, [ 'foo.txt', 'bar.txt', 'baz.txt' ]);
+            fs.writeFileSync(path.join(temp, 'src', 'bar.txt'), 'qux');
+            manager.updateAssets([ 'bar.txt' ]);
+            compile(manager, function (contents) {
+                assert.equal(contents, 'var foo;var qux;var baz;');
+                assert.deepEqual(manager.compiled, [ 'foo.txt', 'bar.txt', 'baz.txt', 'bar.txt' ]);
+                done();
+            });
+        });
+    });
+
+    it('should recompile files when one of their dependencies changes', function (done) {
+        var manager = setup();
+        fs.writeFileSync(path.join(temp, 'src', 'qux.md'), 'qux');
+        manager.registerCompiler('.txt', '.js', function (file, buffer) {
+            manager.compiled.push(path.basename(file));
+            return {
+                contents: 'var ' + buffer.toString() + ';'
+              , dependencies: [ 'qux.md' ]
+            };
+        });
+        compile(manager, function () {
+            fs.writeFileSync(path.join(temp, 'src', 'qux.md'), 'quux');
+            manager.updateAssets([ 'qux.md' ]);
+            manager.compiled = [];
+            compile(manager, function () {
+                assert.deepEqual(manager.compiled, [ 'foo.txt', 'bar.txt', 'baz.txt' ]);
+                done();
+            });
+        });
+    });
+
+    it('should recompile files when a dependency listed by the asset changes', function (done) {
+        var manager = setup();
+        fs.writeFileSync(path.join(temp, 'src', 'qux.md'), 'red');
+        manager.registerCompiler('.txt', '.js', function (file, buffer) {
+            var color = fs.readFileSync(path.join(temp, 'src', 'qux.md')).toString();
+            return 'var ' + buffer.toString() + ' = "' + color + '";';
+        });
+        function compile(callback) {
+            manager.assetPath('foo.js', { dependencies: [ 'qux.md' ] });
+            var asset = manager.pendingAssets['foo.js'];
+            manager.compileAsset(asset, function (err) {
+                assert.ifError(err);
+                callback(asset.path, fs.readFileSync(manager.getOutputPath(asset)).toString());
+            });
+        }
+        compile(function (before, contents) {
+            assert.equal(contents, 'var foo = "red";');
+            fs.writeFileSync(path.join(temp, 'src', 'qux.md'), 'blue');
+            manager.updateAssets([ 'qux.md' ]);
+            compile(function (after, contents) {
+                assert.notEqual(after, before);
+                assert.equal(contents, 'var foo = "blue";');
+                done();
+            });
+        });
+    });
+
+    it('should persist compiled files to disk', function (done) {
+        var manager = setup({ compileCacheDir: cacheDir });
+        compile(manager, function () {
+            assert.equal(manager.compiled.length, 3);
+            //Cache entries are written asynchronously
+            setTimeout(function () {
+                assert.equal(fs.readdirSync(cacheDir).length, 3);
+                manager = create({ compileCacheDir: cacheDir });
+                compile(manager, function (contents) {
+                    assert.equal(contents, 'var foo;var bar;var baz;');
+                    assert.deepEqual(manager.compiled, []);
+                    done();
+                });
+            }, 100);
+        });
+    });
+
+    it('should let users disable the compile cache', function (done) {
+        var manager = setup({ compileCache: false });
+        compile(manager, function () {
+            compile(manager, function () {
+                assert.equal(manager.compiled.length, 6);
+                done();
+            });
+        });
+    });
+
+});
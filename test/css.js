@@ -0,0 +1,156 @@
+var assert = require('assert')
+  , path = require('path')
+  , rimraf = require('rimraf')
+  , fs = require('fs');
+
+var Ferguson = require('../').Ferguson
+  , temp = path.join(__dirname, 'tmp');
+
+function setup(stylesheet, options) {
+    rimraf.sync(temp);
+    fs.mkdirSync(temp);
+    fs.mkdirSync(path.join(temp, 'css'));
+    fs.mkdirSync(path.join(temp, 'img'));
+    fs.writeFileSync(path.join(temp, 'img', 'logo.png'), 'logo');
+    fs.writeFileSync(path.join(temp, 'img', 'icon.gif'), 'icon');
+    fs.writeFileSync(path.join(temp, 'css', 'style.css'), stylesheet);
+    options = options || {};
+    if (!('rewriteUrls' in options)) {
+        options.rewriteUrls = true;
+    }
+    return new Ferguson(temp, options);
+}
+
+function compile(manager, identifier, callback) {
+    manager.assetPath(identifier);
+    var asset = manager.pendingAssets[identifier];
+    manager.compileAsset(asset, function (err) {
+        assert.ifError(err);
+        callback(fs.readFileSync(path.join(temp, asset.path)).toString());
+    });
+}
+
+describe('CSS', function () {
+
+    it('should rewrite relative urls to the urls of the referenced assets', function (done) {
+        var manager = setup('a { background: url(../img/logo.png); }\n' +
+            'b { background: url("../img/icon.gif?v=1#foo"); }');
+        compile(manager, 'css/style.css', function (contents) {
+            assert.equal(contents, 'a { background: url(' + manager.assetUrl('img/logo.png') + '); }\n' +
+                'b { background: url("' + manager.assetUrl('img/icon.gif') + '?v=1#foo"); }');
+            assert(manager.pendingAssets['img/logo.png'], 'Expected the image to be defined');
+            done();
+        });
+    });
+
+    it('should prefix rewritten urls with the url prefix', function (done) {
+        var manager = setup('a { background: url(\'../img/logo.png\'); }', {
+            urlPrefix: 'http://cdn.example.com'
+        });
+        compile(manager, 'css/style.css', function (contents) {
+            var url = manager.assetPath('img/logo.png');
+            assert.equal(contents, 'a { background: url(\'http://cdn.example.com' + url + '\'); }');
+            done();
+        });
+    });
+
+    it('should leave absolute and unknown urls alone', function (done) {
+        var stylesheet = 'a { background: url(/img/logo.png); }\n' +
+            'b { background: url(http://example.com/logo.png); }\n' +
+            'i { background: url(data:image/gif;base64,R0lGOD==); }\n' +
+            'p { background: url(../img/missing.png); }\n' +
+            'u { filter: url(#blur); }';
+        var manager = setup(stylesheet);
+        compile(manager, 'css/style.css', function (contents) {
+            assert.equal(contents, stylesheet);
+            done();
+        });
+    });
+
+    it('should include referenced files in the stylesheet\'s hash', function (done) {
+        var manager = setup('a { background: url(../img/logo.png); }');
+        compile(manager, 'css/style.css', function () {
+            var before = manager.assetPath('css/style.css');
+            manager.assets['img/logo.png'].hash = 'foo';
+            assert.notEqual(manager.assetPath('css/style.css'), before);
+            done();
+        });
+    });
+
+    it('should include referenced files in the stylesheet\'s hash before it\'s compiled', function (done) {
+        var manager = setup('a { background: url(../img/logo.png); }')
+          , before = manager.assetPath('css/style.css');
+        compile(manager, 'css/style.css', function () {
+            assert.equal(manager.assetPath('css/style.css'), before);
+            fs.writeFileSync(path.join(temp, 'img', 'logo.png'), 'updated');
+            manager.writeManifest(function (err) {
+                assert.ifError(err);
+                fs.unlinkSync(path.join(temp, '.asset-manifest'));
+                manager = new Ferguson(temp, { rewriteUrls: true });
+                assert.notEqual(manager.assetPath('css/style.css'), before);
+                done();
+            });
+        });
+    });
+
+    it('should rewrite urls in inline stylesheets', function () {
+        var manager = setup('a { background: url(../img/logo.png); }');
+        assert.equal(manager.assetInline('css/style.css').toString(),
+            'a { background: url(' + manager.assetUrl('img/logo.png') + '); }');
+    });
+
+    it('should only rewrite urls when the rewriteUrls option is set', function () {
+        var manager = setup('a { background: url(../img/logo.png); }', { rewriteUrls: false });
+        assert.equal(manager.assetInline('css/style.css').toString(),
+            'a { background: url(../img/logo.png); }');
+    });
+
+    it('should embed small referenced files as data uris', function (done) {
+        var manager = setup('a { background: url(../img/logo.png); }\n' +
+            'b { background: url("../img/icon.gif#foo"); }\n' +
+            'i { background: url(../img/large.png); }\n' +
+            'u { background: url(../img/logo.png?v=1); }', { dataUriLimit: 16 });
+        fs.writeFileSync(path.join(temp, 'img', 'large.png'), new Array(17).join('x'));
+        compile(manager, 'css/style.css', function (contents) {
+            assert.equal(contents, 'a { background: url(data:image/png;base64,bG9nbw==); }\n' +
+                'b { background: url("data:image/gif;base64,aWNvbg==#foo"); }\n' +
+                'i { background: url(' + manager.assetUrl('img/large.png') + '); }\n' +
+                'u { background: url(' + manager.assetUrl('img/logo.png') + '?v=1); }');
+            var before = manager.assetPath('css/style.css');
+            manager.assets['img/icon.gif'].hash = 'foo';
+            assert.notEqual(manager.assetPath('css/style.css'), before);
+            done();
+        });
+    });
+
+    it('should include embedded files in the stylesheet\'s hash before it\'s compiled', function (done) {
+        var options = { dataUriLimit: 16, rewriteUrls: false }
+          , manager = setup('a { background: url(../img/logo.png); }', options)
+          , before = manager.assetPath('css/style.css');
+        compile(manager, 'css/style.css', function (contents) {
+            assert.equal(contents, 'a { background: url(data:image/png;base64,bG9nbw==); }');
+            assert.equal(manager.assetPath('css/style.css'), before);
+            fs.writeFileSync(path.join(temp, 'img', 'logo.png'), 'updated');
+            manager.writeManifest(function (err) {
+                assert.ifError(err);
+                fs.unlinkSync(path.join(temp, '.asset-manifest'));
+                manager = new Ferguson(temp, options);
+                assert.notEqual(manager.assetPath('css/style.css'), before);
+                compile(manager, 'css/style.css', function (contents) {
+                    assert.equal(contents, 'a { background: url(data:image/png;base64,dXBkYXRlZA==); }');
+                    done();
+                });
+            });
+        });
+    });
+
+    it('should embed small referenced files in inline stylesheets', function () {
+        var manager = setup('a { background: url(../img/logo.png); }', {
+            dataUriLimit: 16
+          , rewriteUrls: false
+        });
+        assert.equal(manager.assetInline('css/style.css').toString(),
+            'a { background: url(data:image/png;base64,bG9nbw==); }');
+    });
+
+});
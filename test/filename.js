@@ -1,8 +1,12 @@
 var assert = require('assert')
-  , path = require('path');
+  , path = require('path')
+  , less = require('less')
+  , rimraf = require('rimraf')
+  , fs = require('fs');
 
 var Ferguson = require('../').Ferguson
-  , fixtures = path.join(__dirname, 'fixtures');
+  , fixtures = path.join(__dirname, 'fixtures')
+  , temp = path.join(__dirname, 'tmp');
 
 function setup(directory, options) {
     return new Ferguson(path.join(fixtures, directory), options);
@@ -195,4 +199,59 @@ describe('Filenames', function () {
         assert(had_error, 'Expected an error');
     });
 
+    it('should include dependencies reported by compilers in the hash', function (done) {
+        rimraf.sync(temp);
+        fs.mkdirSync(temp);
+        fs.writeFileSync(path.join(temp, 'style.less'), '@import "variables.less";\n' +
+            'body { color: @red; }');
+        fs.writeFileSync(path.join(temp, 'variables.less'), '@red: red;');
+        var manager = new Ferguson(temp);
+        manager.registerCompiler('.less', '.css', function (path, buffer, options, callback) {
+            var parser = new less.Parser({ filename: path });
+            parser.parse(buffer.toString(), function (err, tree) {
+                if (err) return callback(err);
+                callback(null, {
+                    contents: tree.toCSS()
+                  , dependencies: Object.keys(parser.imports.files)
+                });
+            });
+        });
+        var before = manager.assetPath('style.css');
+        manager.compileAsset(manager.pendingAssets['style.css'], function (err) {
+            assert.ifError(err);
+            assert.deepEqual(manager.pendingAssets['style.css'].dependencies.map(function (file) {
+                return file.name;
+            }), [ 'variables.less' ]);
+            var after = manager.assetPath('style.css');
+            assert.notEqual(before, after);
+            //Changes to the dependency should now bust the cache
+            var hash = manager.assets['variables.less'].hash;
+            manager.assets['variables.less'].hash = 'foo';
+            assert.notEqual(manager.assetPath('style.css'), after);
+            manager.assets['variables.less'].hash = hash;
+            //The dependencies should be persisted to the manifest
+            manager.writeManifest(function (err) {
+                assert.ifError(err);
+                var manifestPath = path.join(temp, '.asset-manifest')
+                  , manifest = JSON.parse(fs.readFileSync(manifestPath).toString());
+                assert.deepEqual(manifest.files['style.less'].dependencies, [ 'variables.less' ]);
+                var restarted = new Ferguson(temp, { compilers: manager.options.compilers });
+                assert.equal(restarted.assetPath('style.css'), after);
+                done();
+            });
+        });
+    });
+
+    it('should ignore reported dependencies outside of the static directory', function () {
+        rimraf.sync(temp);
+        fs.mkdirSync(temp);
+        fs.writeFileSync(path.join(temp, 'foo.md'), 'foo');
+        var manager = new Ferguson(temp);
+        manager.registerCompiler('.md', '.html', function (path, buffer) {
+            return { contents: buffer, dependencies: [ '../unknown.md', 'foo.md' ] };
+        });
+        manager.assetInline('foo.html');
+        assert.deepEqual(manager.pendingAssets['foo.html'].dependencies, []);
+    });
+
 });
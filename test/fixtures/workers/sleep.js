@@ -0,0 +1,8 @@
+process.on('message', function (job) {
+    if (job.exit) {
+        process.exit(job.exit);
+    }
+    setTimeout(function () {
+        process.send({ result: job.result });
+    }, job.delay || 0);
+});
@@ -48,6 +48,33 @@ describe('Indexing', function () {
         });
     });
 
+    it('should index compiled assets in a separate output directory', function () {
+        rimraf.sync(temp);
+        fs.mkdirSync(temp);
+        fs.mkdirSync(path.join(temp, 'build'));
+        fs.writeFileSync(path.join(temp, 'foo.txt'), 'foo');
+        fs.writeFileSync(path.join(temp, 'asset-12345678-bar.txt'), 'bar');
+        fs.writeFileSync(path.join(temp, 'build', 'asset-de4db33f-foo.txt'), 'foo');
+        fs.writeFileSync(path.join(temp, 'build', 'bar.txt'), 'bar');
+        var manager = new Ferguson(temp, { outputDir: path.join(temp, 'build') });
+        manager.indexAssets();
+        assert.deepEqual(Object.keys(manager.assets), [ 'foo.txt' ]);
+        assert.deepEqual(manager.compiledAssets, {
+            'foo.txt': [ 'asset-de4db33f-foo.txt' ]
+        });
+    });
+
+    it('should index the assets of a directory inside the output directory', function () {
+        rimraf.sync(temp);
+        fs.mkdirSync(temp);
+        fs.mkdirSync(path.join(temp, 'src'));
+        fs.writeFileSync(path.join(temp, 'src', 'foo.txt'), 'foo');
+        var manager = new Ferguson(path.join(temp, 'src'), { outputDir: temp });
+        manager.indexAssets();
+        assert.deepEqual(Object.keys(manager.assets), [ 'foo.txt' ]);
+        assert(manager.assetPath('foo.txt'), 'Expected the asset to be found');
+    });
+
     it('should hash the contents of each asset and cache the results in a manifest', function () {
         rimraf.sync(temp);
         fs.mkdirSync(temp);
@@ -59,8 +86,8 @@ describe('Indexing', function () {
         assert(manager.hashAssets(), 'Expected hashAssets() to return true');
         assert.equal(manager.assets['jquery.js'].hash, '6535b4d330f12366c3f7e50afd63dd04');
         var manifest = JSON.parse(fs.readFileSync(path.join(temp, '.asset-manifest')).toString());
-        assert.deepEqual(Object.keys(manifest), ['jquery.js']);
-        assert.equal(manifest['jquery.js'].hash, '6535b4d330f12366c3f7e50afd63dd04');
+        assert.deepEqual(Object.keys(manifest.files), ['jquery.js']);
+        assert.equal(manifest.files['jquery.js'].hash, '6535b4d330f12366c3f7e50afd63dd04');
         assert(!manager.hashAssets(), 'Expected hashAssets() to return false');
         assert.equal(manager.assets['jquery.js'].hash, '6535b4d330f12366c3f7e50afd63dd04');
     });
@@ -77,8 +104,8 @@ describe('Indexing', function () {
         assert(manager.hashAssets(), 'Expected hashAssets() to return true');
         assert.equal(manager.assets['jquery.js'].hash, '6535b4d330f12366c3f7e50afd63dd04');
         var manifest = JSON.parse(fs.readFileSync(path.join(temp, '.asset-manifest')).toString());
-        assert.deepEqual(Object.keys(manifest), ['jquery.js']);
-        assert.equal(manifest['jquery.js'].hash, '6535b4d330f12366c3f7e50afd63dd04');
+        assert.deepEqual(Object.keys(manifest.files), ['jquery.js']);
+        assert.equal(manifest.files['jquery.js'].hash, '6535b4d330f12366c3f7e50afd63dd04');
     });
 
     it('should emit an error when the manifest can\'t be written to', function () {
@@ -0,0 +1,95 @@
+var assert = require('assert')
+  , path = require('path')
+  , http = require('http')
+  , rimraf = require('rimraf')
+  , fs = require('fs')
+  , port = 14435;
+
+var Ferguson = require('../').Ferguson
+  , temp = path.join(__dirname, 'tmp');
+
+function setup(options) {
+    rimraf.sync(temp);
+    fs.mkdirSync(temp);
+    fs.writeFileSync(path.join(temp, 'style.css'), 'a{color:red}');
+    fs.writeFileSync(path.join(temp, 'app.js'), 'var foo;');
+    options = options || {};
+    options.hotReload = true;
+    return new Ferguson(temp, options);
+}
+
+function listen(manager, change, callback) {
+    var server = http.createServer(manager.handler())
+      , port_ = port++;
+    server.listen(port_, function () {
+        http.get({ hostname: 'localhost', port: port_, path: '/__live-reload' }, function (response) {
+            var events = [];
+            response.setEncoding('utf8');
+            response.on('data', function (chunk) {
+                chunk.split('\n\n').forEach(function (message) {
+                    var match = message.match(/^event: (\w+)\ndata: (.*)$/);
+                    if (match) {
+                        events.push({ event: match[1], data: JSON.parse(match[2]) });
+                    }
+                });
+                if (events.length) {
+                    callback(events, finish);
+                    callback = function () {};
+                }
+            });
+            assert.equal(response.headers['content-type'], 'text/event-stream');
+            change();
+        });
+    });
+    function finish(done) {
+        manager.destroy();
+        server.close();
+        done();
+    }
+}
+
+describe('Live reload', function () {
+
+    it('should swap stylesheets in place when they change', function (done) {
+        var manager = setup({ urlPrefix: 'http://cdn.example.com' })
+          , before = manager.assetPath('style.css');
+        listen(manager, function () {
+            fs.writeFileSync(path.join(temp, 'style.css'), 'a{color:blue}');
+        }, function (events, finish) {
+            assert.deepEqual(events, [{
+                event: 'css'
+              , data: {
+                    path: before
+                  , url: manager.assetUrl('style.css')
+                }
+            }]);
+            assert.notEqual(manager.assetPath('style.css'), before);
+            finish(done);
+        });
+    });
+
+    it('should reload the page when other assets change', function (done) {
+        var manager = setup();
+        manager.assetPath('style.css');
+        manager.assetPath('app.js');
+        listen(manager, function () {
+            fs.writeFileSync(path.join(temp, 'app.js'), 'var bar;');
+        }, function (events, finish) {
+            assert.deepEqual(events, [ { event: 'reload', data: { files: [ 'app.js' ] } } ]);
+            finish(done);
+        });
+    });
+
+    it('should provide a view helper for the live-reload client', function () {
+        var manager = setup({ html5: true })
+          , helper = manager.helper({ nonce: 'abc123' })
+          , script = helper.liveReload();
+        assert.equal(script.indexOf('<script nonce="abc123">!function client(url) {'), 0);
+        assert(script.indexOf('("/__live-reload");</script>') > 0, 'Expected the stream url');
+        assert.equal(helper.inlineHashes('js').length, 1);
+        manager.destroy();
+        manager = new Ferguson(temp);
+        assert.equal(manager.helper().liveReload(), '');
+    });
+
+});
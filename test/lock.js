@@ -0,0 +1,167 @@
+var assert = require('assert')
+  , path = require('path')
+  , rimraf = require('rimraf')
+  , fs = require('fs');
+
+var Ferguson = require('../').Ferguson
+  , utils = require('../lib/utils')
+  , lock = require('../lib/lock')
+  , temp = path.join(__dirname, 'tmp');
+
+function setup() {
+    rimraf.sync(temp);
+    fs.mkdirSync(temp);
+    fs.writeFileSync(path.join(temp, 'foo.txt'), 'foo');
+    var manager = new Ferguson(temp);
+    manager.compiles = 0;
+    manager.registerCompiler('.txt', '.js', function (file, buffer) {
+        manager.compiles++;
+        return buffer;
+    });
+    manager.assetPath('foo.js');
+    return manager;
+}
+
+describe('Locking', function () {
+
+    it('should write files atomically', function (done) {
+        rimraf.sync(temp);
+        fs.mkdirSync(temp);
+        var file = path.join(temp, 'foo.txt');
+        fs.writeFileSync(file, 'foo');
+        utils.writeFileAtomic(file, 'bar', function (err) {
+            assert.ifError(err);
+            assert.equal(fs.readFileSync(file).toString(), 'bar');
+            utils.writeFileAtomicSync(file, 'baz');
+            assert.equal(fs.readFileSync(file).toString(), 'baz');
+            assert.deepEqual(fs.readdirSync(temp), [ 'foo.txt' ]);
+            done();
+        });
+    });
+
+    it('should wait for other processes to release a lock', function (done) {
+        rimraf.sync(temp);
+        var file = path.join(temp, 'foo.lock')
+          , released = false;
+        lock.acquire(file, 1000, function (err, acquired) {
+            assert.ifError(err);
+            assert(acquired, 'Expected the lock to be acquired');
+            lock.acquire(file, 1000, function (err, acquired) {
+                assert.ifError(err);
+                assert(!acquired, 'Expected the lock to be held by someone else');
+                assert(released, 'Expected to wait for the lock to be released');
+                done();
+            });
+            setTimeout(function () {
+                released = true;
+                lock.release(file);
+            }, 100);
+        });
+    });
+
+    it('should break stale locks', function (done) {
+        rimraf.sync(temp);
+        fs.mkdirSync(temp);
+        var file = path.join(temp, 'foo.lock');
+        fs.writeFileSync(file, '');
+        var past = new Date(Date.now() - 10000);
+        fs.utimesSync(file, past, past);
+        lock.acquire(file, 1000, function (err, acquired) {
+            assert.ifError(err);
+            assert(acquired, 'Expected the stale lock to be broken');
+            lock.release(file, done);
+        });
+    });
+
+    it('should wait for another process to compile an asset', function (done) {
+        var manager = setup()
+          , asset = manager.pendingAssets['foo.js']
+          , outputPath = manager.getOutputPath(asset);
+        fs.writeFileSync(outputPath + '.lock', '');
+        manager.compileAssetLocked(asset, function (err) {
+            assert.ifError(err);
+            assert.equal(manager.compiles, 0);
+            assert.equal(fs.readFileSync(outputPath).toString(), 'bar');
+            done();
+        });
+        setTimeout(function () {
+            fs.writeFileSync(outputPath, 'bar');
+            fs.unlinkSync(outputPath + '.lock');
+        }, 100);
+    });
+
+    it('should compile an asset when another process fails to', function (done) {
+        var manager = setup()
+          , asset = manager.pendingAssets['foo.js']
+          , outputPath = manager.getOutputPath(asset);
+        fs.writeFileSync(outputPath + '.lock', '');
+        manager.compileAssetLocked(asset, function (err) {
+            assert.ifError(err);
+            assert.equal(manager.compiles, 1);
+            assert.equal(fs.readFileSync(outputPath).toString(), 'foo');
+            assert(!fs.existsSync(outputPath + '.lock'), 'Expected the lock to be released');
+            done();
+        });
+        setTimeout(function () {
+            fs.unlinkSync(outputPath + '.lock');
+        }, 100);
+    });
+
+    it('should merge the definitions of other processes into the manifest', function (done) {
+        var manager = setup()
+          , other = new Ferguson(temp);
+        other.assetPath('bar.txt', { include: [ 'foo.txt' ] });
+        manager.writeManifest(function (err) {
+            assert.ifError(err);
+            other.writeManifest(function (err) {
+                assert.ifError(err);
+                var manifest = JSON.parse(fs.readFileSync(path.join(temp, '.asset-manifest')).toString());
+                assert.deepEqual(Object.keys(manifest.definitions).sort(), [ 'bar.txt', 'foo.js' ]);
+                done();
+            });
+        });
+    });
+
+    it('should batch manifest writes', function (done) {
+        var manager = setup()
+          , saveManifest = manager.saveManifest
+          , writes = 0;
+        manager.saveManifest = function () {
+            writes++;
+            return saveManifest.apply(this, arguments);
+        };
+        manager.assetPath('bar.js', { include: [ 'foo.js' ] });
+        manager.assetPath('baz.js', { include: [ 'foo.js' ] });
+        manager.writeManifest(function (err) {
+            assert.ifError(err);
+            assert.equal(writes, 1);
+            var manifest = JSON.parse(fs.readFileSync(path.join(temp, '.asset-manifest')).toString());
+            assert.deepEqual(Object.keys(manifest.definitions).sort(), [ 'bar.js', 'baz.js', 'foo.js' ]);
+            done();
+        });
+    });
+
+    it('should wait for another process to write the manifest', function (done) {
+        var manager = setup()
+          , lockPath = path.join(temp, '.asset-manifest.lock')
+          , released = false;
+        manager.writeManifest(function (err) {
+            assert.ifError(err);
+            fs.writeFileSync(lockPath, '');
+            manager.assetPath('bar.js', { include: [ 'foo.js' ] });
+            manager.writeManifest(function (err) {
+                assert.ifError(err);
+                assert(released, 'Expected to wait for the lock to be released');
+                var manifest = JSON.parse(fs.readFileSync(path.join(temp, '.asset-manifest')).toString());
+                assert(manifest.definitions['bar.js'], 'Expected the definition to be written');
+                assert(!fs.existsSync(lockPath), 'Expected the lock to be released');
+                done();
+            });
+            setTimeout(function () {
+                released = true;
+                fs.unlinkSync(lockPath);
+            }, 100);
+        });
+    });
+
+});
@@ -1,6 +1,9 @@
 var assert = require('assert')
   , path = require('path')
   , http = require('http')
+  , zlib = require('zlib')
+  , crypto = require('crypto')
+  , format = require('util').format
   , less = require('less')
   , rimraf = require('rimraf')
   , marked = require('marked')
@@ -9,7 +12,8 @@ var assert = require('assert')
   , fs = require('fs')
   , port = 12435;
 
-var Ferguson = require('../').Ferguson
+var ferguson = require('../')
+  , Ferguson = ferguson.Ferguson
   , fixtures = path.join(__dirname, 'fixtures')
   , temp = path.join(__dirname, 'tmp')
   , temp2 = path.join(__dirname, 'tmp2');
@@ -28,19 +32,24 @@ function mocks(callback) {
         next();
     });
     var server = app.listen(port_);
-    function request(uri, callback) {
+    function request(uri, headers, callback) {
+        if (typeof headers === 'function') {
+            callback = headers;
+            headers = {};
+        }
         http.request({
             hostname: 'localhost'
           , port: port_
           , method: 'GET'
           , path: uri
+          , headers: headers
         }, function (response) {
-            var body = '';
-            response.setEncoding('utf8');
+            var chunks = [];
             response.on('data', function (chunk) {
-                body += chunk;
+                chunks.push(chunk);
             }).on('end', function () {
-                callback(null, response, body);
+                var body = Buffer.concat(chunks);
+                callback(null, response, body.toString(), body);
             });
         }).end();
     }
@@ -130,6 +139,54 @@ describe('Middleware', function () {
         });
     });
 
+    it('should provide view helpers for collecting assets and rendering them once', function (done) {
+        var manager = new Ferguson(path.join(fixtures, 'simple-assets'), { html5: true });
+        mocks(function (app, request, next) {
+            manager.bind(app);
+            app.get('/', function (request, response) {
+                response.render([
+                    '{{ asset.require("jquery.js") }}{{ asset.require("style.css") }}'
+                  , '{{ asset.require("JQuery.js") }}{{ asset.flush("css") }}'
+                  , '{{ asset.require("respond.js") }}{{ asset.require("style.css") }}'
+                  , '{{ asset.flush("js") }}{{ asset.flush("css") }}'
+                ].join('\n'));
+            });
+            assert(!app.asset.require && !app.asset.flush,
+                'Expected the queue to be specific to each response');
+            request('/', function (err, response, body) {
+                assert.ifError(err);
+                assert.equal(response.statusCode, 200);
+                assert.equal(body, [
+                    ''
+                  , '<link href="' + manager.assetPath('style.css') + '" rel="stylesheet" />'
+                  , ''
+                  , '<script src="' + manager.assetPath('jquery.js') + '"></script>\n' +
+                        '<script src="' + manager.assetPath('respond.js') + '"></script>'
+                ].join('\n'));
+                next(done);
+            });
+        });
+    });
+
+    it('should send Link headers for the assets that a response renders', function (done) {
+        var manager = new Ferguson(path.join(fixtures, 'simple-assets'), { linkHeaders: true });
+        mocks(function (app, request, next) {
+            manager.bind(app);
+            app.get('/', function (request, response) {
+                response.render('{{ asset("jquery.js") }}{{ asset.preload("style.css") }}');
+            });
+            request('/', function (err, response) {
+                assert.ifError(err);
+                assert.equal(response.statusCode, 200);
+                assert.equal(response.headers.link, [
+                    format('<%s>; rel=preload; as=script', manager.assetPath('jquery.js'))
+                  , format('<%s>; rel=preload; as=style', manager.assetPath('style.css'))
+                ].join(', '));
+                next(done);
+            });
+        });
+    });
+
     it('should let users modify the view helper name', function (done) {
         var manager = new Ferguson(path.join(fixtures, 'empty'), {
             viewHelper: 'foobarbaz'
@@ -286,6 +343,61 @@ describe('Middleware', function () {
         });
     });
 
+    it('should serve up assets that were defined by another process', function (done) {
+        rimraf.sync(temp);
+        fs.mkdirSync(temp);
+        fs.writeFileSync(path.join(temp, 'html5shiv.js'), 'window.shiv = {};\n');
+        fs.writeFileSync(path.join(temp, 'respond.js'), 'window.respond = {};\n');
+        var other = new Ferguson(temp)
+          , ie8 = other.assetPath('ie8.js', { include: [ 'html5shiv.js', 'respond.js' ] });
+        other.writeManifest(function (err) {
+            assert.ifError(err);
+            var manifest = JSON.parse(fs.readFileSync(path.join(temp, '.asset-manifest')).toString());
+            assert.deepEqual(manifest.definitions['ie8.js'].assets, [ 'html5shiv.js', 'respond.js' ]);
+            assert.equal(manifest.definitions['ie8.js'].path, ie8);
+            var manager = new Ferguson(temp);
+            mocks(function (app, request, next) {
+                manager.bind(app);
+                request(ie8, function (err, response, body) {
+                    assert.ifError(err);
+                    assert.equal(response.statusCode, 200);
+                    assert.equal(body.trim(), 'window.shiv = {};\nwindow.respond = {};');
+                    next(done);
+                });
+            });
+        });
+    });
+
+    it('should only read the definitions of other processes when they change', function (done) {
+        rimraf.sync(temp);
+        fs.mkdirSync(temp);
+        fs.writeFileSync(path.join(temp, 'html5shiv.js'), 'window.shiv = {};\n');
+        fs.writeFileSync(path.join(temp, 'respond.js'), 'window.respond = {};\n');
+        var other = new Ferguson(temp);
+        other.assetPath('ie8.js', { include: 'html5shiv.js' });
+        other.writeManifest(function (err) {
+            assert.ifError(err);
+            var manager = new Ferguson(temp)
+              , readManifest = manager.readManifest
+              , reads = 0;
+            manager.init();
+            manager.readManifest = function () {
+                reads++;
+                return readManifest.apply(this, arguments);
+            };
+            assert.equal(manager.restoreDefinition('missing.js'), null);
+            assert.equal(manager.restoreDefinition('missing.js'), null);
+            assert.equal(reads, 1);
+            other.assetPath('respond.min.js', { include: 'respond.js' });
+            other.writeManifest(function (err) {
+                assert.ifError(err);
+                assert(manager.restoreDefinition('respond.min.js'), 'Expected the definition');
+                assert.equal(reads, 2);
+                manager.writeManifest(done);
+            });
+        });
+    });
+
     it('should serve up bundles of assets from a subdirectory', function (done) {
         var assets = path.join(fixtures, 'simple-assets')
           , manager = new Ferguson(assets);
@@ -491,6 +603,138 @@ describe('Middleware', function () {
         });
     });
 
+    it('should describe compilation errors', function (done) {
+        rimraf.sync(temp);
+        fs.mkdirSync(temp);
+        fs.mkdirSync(path.join(temp, 'css'));
+        fs.writeFileSync(path.join(temp, 'css', 'base.css'), 'a{}\n');
+        fs.writeFileSync(path.join(temp, 'css', 'style.less'), 'a {\n    color: red;\n    .foo;\n}\n');
+        var compilers = {
+            '.less': {
+                output: '.css'
+              , compile: function (path, buffer, options, callback) {
+                    less.render(buffer.toString(), callback);
+                }
+            }
+        };
+        var manager = new Ferguson(temp, { compilers: compilers })
+          , emitted;
+        manager.on('error', function (err) {
+            emitted = err;
+        });
+        mocks(function (app, request, next) {
+            manager.bind(app);
+            var requestError;
+            app.use(function (err, request, response, next) {
+                requestError = err;
+                next = next; //-jshint
+                response.send(500);
+            });
+            var style = manager.assetPath('css/all.css', {
+                include: [ 'css/base.css', 'css/style.less' ]
+            });
+            request(style, function (err, response) {
+                assert.ifError(err);
+                assert.equal(response.statusCode, 500);
+                assert.strictEqual(emitted, requestError);
+                assert(requestError instanceof ferguson.CompileError, 'Expected a CompileError');
+                assert(requestError instanceof ferguson.FergusonError, 'Expected a FergusonError');
+                assert.equal(requestError.name, 'CompileError');
+                assert.equal(requestError.asset, 'css/all.css');
+                assert.equal(requestError.file, path.join('css', 'style.less'));
+                assert.equal(requestError.phase, 'compile');
+                assert.equal(requestError.line, 3);
+                assert.equal(typeof requestError.column, 'number');
+                assert(requestError.cause, 'Expected the original error');
+                manager.destroy();
+                next(done);
+            });
+        });
+    });
+
+    it('should describe compression errors', function () {
+        rimraf.sync(temp);
+        fs.mkdirSync(temp);
+        fs.writeFileSync(path.join(temp, 'jquery.js'), 'var foo');
+        var manager = new Ferguson(temp, {
+            compress: true
+          , compressors: {
+                '.js': function () {
+                    var err = new Error('Unexpected token');
+                    err.line = 1;
+                    err.col = 4;
+                    throw err;
+                }
+            }
+        });
+        manager.assetPath('jquery.js');
+        assert.throws(function () {
+            manager.compileAssetSync(manager.pendingAssets['jquery.js']);
+        }, function (err) {
+            return err instanceof ferguson.CompileError && err.phase === 'compress' &&
+                err.asset === 'jquery.js' && err.file === null && err.line === 1 &&
+                err.column === 4 && err.cause.message === 'Unexpected token';
+        });
+    });
+
+    it('should serve an error overlay for stylesheets that fail to compile in hotReload mode', function (done) {
+        rimraf.sync(temp);
+        fs.mkdirSync(temp);
+        fs.writeFileSync(path.join(temp, 'style.less'), 'a {\n    color: red;\n    .foo;\n}\n');
+        var compilers = {
+            '.less': {
+                output: '.css'
+              , compile: function (path, buffer, options, callback) {
+                    less.render(buffer.toString(), callback);
+                }
+            }
+        };
+        var manager = new Ferguson(temp, { hotReload: true, compilers: compilers });
+        mocks(function (app, request, next) {
+            manager.bind(app);
+            request(manager.assetPath('style.css'), function (err, response, body) {
+                assert.ifError(err);
+                assert.equal(response.statusCode, 200);
+                assert.equal(response.headers['content-type'], 'text/css');
+                assert.equal(body.indexOf('body::before{content:"Failed to compile file \\"style.less\\"'), 0);
+                assert(body.indexOf('style.less:3:') >= 0, 'Expected the error location');
+                manager.destroy();
+                next(done);
+            });
+        });
+    });
+
+    it('should serve an error overlay for scripts that fail to compile in hotReload mode', function (done) {
+        rimraf.sync(temp);
+        fs.mkdirSync(temp);
+        fs.writeFileSync(path.join(temp, 'app.es'), 'let x = ;');
+        var compilers = {
+            '.es': {
+                output: '.js'
+              , compile: function (path, buffer, options, callback) {
+                    var err = new Error('Unexpected token');
+                    err.line = 1;
+                    err.column = 8;
+                    callback(err);
+                }
+            }
+        };
+        var manager = new Ferguson(temp, { hotReload: true, compilers: compilers });
+        mocks(function (app, request, next) {
+            manager.bind(app);
+            request(manager.assetPath('app.js'), function (err, response, body) {
+                assert.ifError(err);
+                assert.equal(response.statusCode, 200);
+                assert.equal(response.headers['content-type'], 'application/javascript');
+                assert(body.indexOf('"message":"Failed to compile file \\"app.es\\": Unexpected token"') >= 0,
+                    'Expected the compiler message');
+                assert(body.indexOf('"location":"app.es:1:8"') >= 0, 'Expected the error location');
+                manager.destroy();
+                next(done);
+            });
+        });
+    });
+
     it('should be safe to add the middleware to multiple express apps', function (done) {
         var manager = new Ferguson(path.join(fixtures, 'empty'));
         mocks(function (app, request, next) {
@@ -669,6 +913,49 @@ describe('Middleware', function () {
         });
     });
 
+    it('should write compiled assets to a separate output directory', function (done) {
+        rimraf.sync(temp);
+        rimraf.sync(temp2);
+        fs.mkdirSync(temp);
+        fs.mkdirSync(temp2);
+        fs.mkdirSync(path.join(temp, 'js'));
+        fs.writeFileSync(path.join(temp, 'js', 'jquery.js'), 'var foo');
+        fs.mkdirSync(path.join(temp2, 'js'));
+        fs.writeFileSync(path.join(temp2, 'js', 'asset-12345678-jquery.js'), '');
+        var manager = new Ferguson(temp, {
+            outputDir: temp2
+          , servePrefix: '/static'
+        });
+        mocks(function (app, request, next) {
+            manager.bind(app);
+            var deleted;
+            manager.on('delete', function (file) {
+                deleted = file;
+            });
+            var jquery = manager.assetPath('js/jquery.js');
+            assert.equal(jquery.indexOf('/static/js/asset-'), 0);
+            request(jquery, function (err, response, body) {
+                assert.ifError(err);
+                assert.equal(response.statusCode, 200);
+                assert.equal(body.trim(), 'var foo');
+                assert.equal(deleted, 'js/asset-12345678-jquery.js');
+                assert.deepEqual(fs.readdirSync(temp).sort(), [ 'js' ]);
+                assert.deepEqual(fs.readdirSync(path.join(temp, 'js')), [ 'jquery.js' ]);
+                assert.deepEqual(fs.readdirSync(path.join(temp2, 'js')),
+                    [ path.basename(jquery) ]);
+                assert(fs.existsSync(path.join(temp2, '.asset-manifest')),
+                    'Expected the manifest to be written to the output directory');
+                request('/static/js/jquery.js', function (err, response, body) {
+                    assert.ifError(err);
+                    assert.equal(response.statusCode, 200);
+                    assert.equal(body.trim(), 'var foo');
+                    rimraf.sync(temp2);
+                    next(done);
+                });
+            });
+        });
+    });
+
     it('should watch the directory for changes when the hotReload option is set', function (done) {
         rimraf.sync(temp);
         fs.mkdirSync(temp);
@@ -715,8 +1002,8 @@ describe('Middleware', function () {
                 assert.ifError(err);
                 assert.equal(response.statusCode, 200);
                 assert.equal(body.trim(), 'var foo');
-                manager.on('change', function (filename) {
-                    if (filename !== 'jquery.js') return;
+                manager.on('changes', function (files) {
+                    if (files.indexOf('jquery.js') === -1) return;
                     manager.on('error', function (err) {
                         assert.equal(err.message, 'Asset "jquery.js" could not be found');
                         manager.destroy();
@@ -744,8 +1031,8 @@ describe('Middleware', function () {
                 assert.ifError(err);
                 assert.equal(response.statusCode, 200);
                 assert.equal(body.trim(), 'var foo');
-                manager.on('change', function (filename) {
-                    if (filename !== 'bootstrap.js') return;
+                manager.on('changes', function (files) {
+                    if (files.indexOf('bootstrap.js') === -1) return;
                     var updated = manager.assetPath('bootstrap.js');
                     assert.notEqual(compiled, updated);
                     request(updated, function (err, response, body) {
@@ -781,8 +1068,8 @@ describe('Middleware', function () {
                 assert.ifError(err);
                 assert.equal(response.statusCode, 200);
                 assert.equal(body.trim(), 'var foo');
-                manager.on('change', function (filename) {
-                    if (filename !== 'css') return;
+                manager.on('changes', function (files) {
+                    if (files.indexOf(path.join('css', 'jquery.js')) === -1) return;
                     var asset = manager.assetPath('css/jquery.js');
                     request(asset, function (err, response, body) {
                         assert.ifError(err);
@@ -938,6 +1225,31 @@ describe('Middleware', function () {
         });
     });
 
+    it('should add the response nonce to inline blocks and expose their hashes', function (done) {
+        var manager = new Ferguson(path.join(fixtures, 'simple-assets'), {
+            compress: true
+        });
+        mocks(function (app, request, next) {
+            manager.bind(app);
+            app.get('/', function (request, response) {
+                response.locals.nonce = 'abc123';
+                var html = response.asset('style.css', { inline: true });
+                response.set('Content-Security-Policy', 'style-src \'' +
+                    response.asset.inlineHashes('css').join('\' \'') + '\'');
+                response.send(html);
+            });
+            request('/', function (err, response, body) {
+                assert.ifError(err);
+                assert.equal(response.statusCode, 200);
+                assert.equal(body, '<style nonce="abc123" type="text/css">body{color:red}</style>');
+                assert.equal(response.headers['content-security-policy'],
+                    'style-src \'sha256-' + crypto.createHash('sha256')
+                        .update('body{color:red}').digest('base64') + '\'');
+                next(done);
+            });
+        });
+    });
+
     it('should inline css using a <style> tag', function (done) {
         var manager = new Ferguson(path.join(fixtures, 'simple-assets'), {
             compress: true
@@ -1092,4 +1404,65 @@ describe('Middleware', function () {
         });
     });
 
+    it('should write precompressed variants of compiled assets', function (done) {
+        var assets = path.join(fixtures, 'simple-assets')
+          , manager = new Ferguson(assets, { precompress: true });
+        var ie8 = manager.assetPath('ie8.js', { include: [ 'html5shiv.js', 'respond.js' ] })
+          , outputPath = path.join(assets, ie8);
+        manager.compileAsset(manager.pendingAssets['ie8.js'], function (err) {
+            assert.ifError(err);
+            var contents = fs.readFileSync(outputPath).toString();
+            assert.equal(zlib.gunzipSync(fs.readFileSync(outputPath + '.gz')).toString(), contents);
+            if (zlib.brotliDecompressSync) {
+                assert.equal(zlib.brotliDecompressSync(fs.readFileSync(outputPath + '.br'))
+                    .toString(), contents);
+            }
+            done();
+        });
+    });
+
+    it('should serve precompressed variants to clients that accept them', function (done) {
+        var assets = path.join(fixtures, 'simple-assets')
+          , manager = new Ferguson(assets, { precompress: true });
+        mocks(function (app, request, next) {
+            manager.bind(app);
+            var ie8 = manager.assetPath('ie8.js', { include: [ 'html5shiv.js', 'respond.js' ] });
+            rimraf.sync(path.join(assets, ie8 + '*'));
+            request(ie8, { 'Accept-Encoding': 'gzip' }, function (err, response, body, raw) {
+                assert.ifError(err);
+                assert.equal(response.statusCode, 200);
+                assert.equal(response.headers['content-encoding'], 'gzip');
+                assert.equal(response.headers['content-type'], 'application/javascript; charset=UTF-8');
+                assert.equal(response.headers.vary, 'Accept-Encoding');
+                assert.equal(zlib.gunzipSync(raw).toString().trim(),
+                    'window.shiv = {};\nwindow.respond = {};');
+                request(ie8, { 'Accept-Encoding': 'gzip;q=0.5, br' }, function (err, response) {
+                    assert.ifError(err);
+                    assert.equal(response.statusCode, 200);
+                    assert.equal(response.headers['content-encoding'],
+                        zlib.brotliCompress ? 'br' : 'gzip');
+                    next(done);
+                });
+            });
+        });
+    });
+
+    it('should serve uncompressed assets to clients that don\'t accept compression', function (done) {
+        var assets = path.join(fixtures, 'simple-assets')
+          , manager = new Ferguson(assets, { precompress: true });
+        mocks(function (app, request, next) {
+            manager.bind(app);
+            var ie8 = manager.assetPath('ie8.js', { include: [ 'html5shiv.js', 'respond.js' ] });
+            rimraf.sync(path.join(assets, ie8 + '*'));
+            request(ie8, { 'Accept-Encoding': 'gzip;q=0' }, function (err, response, body) {
+                assert.ifError(err);
+                assert.equal(response.statusCode, 200);
+                assert(!response.headers['content-encoding'], 'Expected no content encoding');
+                assert.equal(response.headers.vary, 'Accept-Encoding');
+                assert.equal(body.trim(), 'window.shiv = {};\nwindow.respond = {};');
+                next(done);
+            });
+        });
+    });
+
 });
@@ -0,0 +1,138 @@
+var assert = require('assert')
+  , path = require('path')
+  , rimraf = require('rimraf')
+  , fs = require('fs');
+
+var Ferguson = require('../').Ferguson
+  , WorkerPool = require('../lib/pool').WorkerPool
+  , fixtures = path.join(__dirname, 'fixtures')
+  , sleep = path.join(fixtures, 'workers', 'sleep.js')
+  , temp = path.join(__dirname, 'tmp');
+
+function compile(manager, identifier, callback) {
+    manager.assetPath(identifier);
+    var asset = manager.pendingAssets[identifier];
+    manager.compileAsset(asset, function (err) {
+        callback(err, err ? null : fs.readFileSync(manager.getOutputPath(asset)).toString());
+    });
+}
+
+describe('Worker pool', function () {
+
+    it('should compress assets in a worker', function (done) {
+        rimraf.sync(temp);
+        fs.mkdirSync(temp);
+        fs.writeFileSync(path.join(temp, 'foo.js'), 'var foo = 1;\nvar bar = 2;\n');
+        var manager = new Ferguson(temp, { compress: true, workers: 2 });
+        compile(manager, 'foo.js', function (err, contents) {
+            assert.ifError(err);
+            assert.equal(contents, 'var foo=1,bar=2;');
+            assert.equal(manager.workerPool.workers.length, 1);
+            manager.destroy();
+            done();
+        });
+    });
+
+    it('should report compression errors from workers', function (done) {
+        rimraf.sync(temp);
+        fs.mkdirSync(temp);
+        fs.writeFileSync(path.join(temp, 'foo.js'), 'var foo = ;');
+        var manager = new Ferguson(temp, { compress: true, workers: 1 });
+        compile(manager, 'foo.js', function (err) {
+            assert(err, 'Expected an error');
+            assert.equal(err.message.indexOf('Failed to compress asset "'), 0);
+            assert.equal(err.phase, 'compress');
+            assert.equal(err.line, 1);
+            assert.equal(typeof err.column, 'number');
+            manager.destroy();
+            done();
+        });
+    });
+
+    it('should run custom compressors in-process', function (done) {
+        rimraf.sync(temp);
+        fs.mkdirSync(temp);
+        fs.writeFileSync(path.join(temp, 'foo.js'), 'var foo = 1;');
+        var manager = new Ferguson(temp, { compress: true, workers: 1 });
+        manager.registerCompressor('.js', function () {
+            return 'custom';
+        });
+        compile(manager, 'foo.js', function (err, contents) {
+            assert.ifError(err);
+            assert.equal(contents, 'custom');
+            assert(!manager.workerPool, 'Expected the worker pool not to be started');
+            done();
+        });
+    });
+
+    it('should queue jobs when all workers are busy', function (done) {
+        var pool = new WorkerPool(sleep, { size: 2 })
+          , results = [];
+        function collect(err, result) {
+            assert.ifError(err);
+            results.push(result);
+            if (results.length === 3) {
+                assert.deepEqual(results, [ 2, 1, 3 ]);
+                assert.equal(pool.workers.length, 2);
+                pool.close();
+                done();
+            }
+        }
+        //Wait for both workers to start so that the order only depends on the
+        //delays of the jobs
+        var started = 0;
+        function start(err) {
+            assert.ifError(err);
+            if (++started < 2) {
+                return;
+            }
+            pool.run({ delay: 300, result: 1 }, collect);
+            pool.run({ delay: 10, result: 2 }, collect);
+            pool.run({ delay: 600, result: 3 }, collect);
+        }
+        pool.run({}, start);
+        pool.run({}, start);
+    });
+
+    it('should kill workers that time out', function (done) {
+        var pool = new WorkerPool(sleep, { size: 1, timeout: 500 });
+        pool.run({ delay: 5000 }, function (err) {
+            assert(err, 'Expected an error');
+            assert.equal(err.message, 'The job timed out after 500ms');
+            assert.equal(pool.workers.length, 0);
+            pool.run({ result: 'foo' }, function (err, result) {
+                assert.ifError(err);
+                assert.equal(result, 'foo');
+                pool.close();
+                done();
+            });
+        });
+    });
+
+    it('should fail jobs when a worker errors', function (done) {
+        var pool = new WorkerPool(sleep);
+        pool.run({ delay: 5000 }, function (err) {
+            assert(err, 'Expected an error');
+            assert.equal(err.message, 'Channel closed');
+            assert.equal(pool.workers.length, 0);
+            pool.run({ result: 'foo' }, function (err, result) {
+                assert.ifError(err);
+                assert.equal(result, 'foo');
+                pool.close();
+                done();
+            });
+        });
+        pool.workers[0].emit('error', new Error('Channel closed'));
+    });
+
+    it('should fail jobs when a worker exits', function (done) {
+        var pool = new WorkerPool(sleep);
+        pool.run({ exit: 3 }, function (err) {
+            assert(err, 'Expected an error');
+            assert.equal(err.message, 'The worker exited with code 3');
+            pool.close();
+            done();
+        });
+    });
+
+});
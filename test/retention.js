@@ -0,0 +1,128 @@
+var assert = require('assert')
+  , path = require('path')
+  , execFile = require('child_process').execFile
+  , rimraf = require('rimraf')
+  , fs = require('fs');
+
+var Ferguson = require('../').Ferguson
+  , temp = path.join(__dirname, 'tmp')
+  , bin = path.join(__dirname, '..', 'bin', 'ferguson');
+
+/**
+ * Create a static directory containing previous versions of jquery.js that
+ * were compiled the specified number of seconds ago.
+ */
+
+function setup(versions) {
+    rimraf.sync(temp);
+    fs.mkdirSync(temp);
+    fs.writeFileSync(path.join(temp, 'jquery.js'), 'var foo');
+    var now = Date.now() / 1000;
+    for (var hash in versions) {
+        var file = path.join(temp, 'asset-' + hash + '-jquery.js');
+        fs.writeFileSync(file, '');
+        fs.utimesSync(file, now - versions[hash], now - versions[hash]);
+    }
+}
+
+function compiled() {
+    return fs.readdirSync(temp).filter(function (file) {
+        return file.indexOf('asset-') === 0;
+    }).sort();
+}
+
+describe('Retention', function () {
+
+    it('should remove previous versions of an asset by default', function (done) {
+        setup({ 11111111: 60, 22222222: 120 });
+        var manager = new Ferguson(temp);
+        manager.assetPath('jquery.js');
+        manager.waitForRemovals(function () {
+            assert.deepEqual(compiled(), []);
+            done();
+        });
+    });
+
+    it('should keep the most recent previous versions of an asset', function (done) {
+        setup({ 11111111: 60, 22222222: 120, 33333333: 180 });
+        var manager = new Ferguson(temp, { retainVersions: 2 })
+          , deleted = [];
+        manager.on('delete', function (file) {
+            deleted.push(file);
+        });
+        manager.assetPath('jquery.js');
+        assert.deepEqual(deleted, [ 'asset-33333333-jquery.js' ]);
+        manager.waitForRemovals(function () {
+            assert.deepEqual(compiled(), [ 'asset-11111111-jquery.js', 'asset-22222222-jquery.js' ]);
+            done();
+        });
+    });
+
+    it('should keep previous versions of an asset that are younger than a TTL', function (done) {
+        setup({ 11111111: 60, 22222222: 7200 });
+        var manager = new Ferguson(temp, { retainFor: 60 * 60 * 1000 });
+        manager.assetPath('jquery.js');
+        manager.waitForRemovals(function () {
+            assert.deepEqual(compiled(), [ 'asset-11111111-jquery.js' ]);
+            done();
+        });
+    });
+
+});
+
+describe('Pruning', function () {
+
+    it('should remove compiled assets that no definition references', function (done) {
+        setup({ 11111111: 60 });
+        fs.writeFileSync(path.join(temp, 'asset-11111111-jquery.js.map'), '{}');
+        fs.writeFileSync(path.join(temp, 'bar.js'), 'var bar');
+        fs.writeFileSync(path.join(temp, 'asset-22222222-bar.js'), '');
+        var manager = new Ferguson(temp, { retainVersions: 1 })
+          , jquery = manager.assetPath('jquery.js');
+        manager.compileAsset(manager.pendingAssets['jquery.js'], function (err) {
+            assert.ifError(err);
+            assert.equal(compiled().length, 4);
+            manager.prune(function (err, removed) {
+                assert.ifError(err);
+                assert.deepEqual(removed.sort(), [ 'asset-11111111-jquery.js', 'asset-22222222-bar.js' ]);
+                assert.deepEqual(compiled(), [ jquery.slice(1) ]);
+                assert(fs.existsSync(path.join(temp, 'bar.js')), 'Expected sources to be kept');
+                done();
+            });
+        });
+    });
+
+    it('should keep compiled assets that another process defined', function (done) {
+        setup({});
+        fs.writeFileSync(path.join(temp, 'bar.js'), 'var bar');
+        var other = new Ferguson(temp)
+          , bar = other.assetPath('bar.js');
+        other.build(function (err) {
+            assert.ifError(err);
+            var manager = new Ferguson(temp);
+            manager.prune(function (err, removed) {
+                assert.ifError(err);
+                assert.deepEqual(removed, []);
+                assert.deepEqual(compiled(), [ bar.slice(1) ]);
+                done();
+            });
+        });
+    });
+
+    it('should provide a command line interface', function (done) {
+        setup({ 11111111: 60 });
+        var module = path.join(temp, 'assets.conf');
+        fs.writeFileSync(module, [
+            'var ferguson = require(' + JSON.stringify(path.join(__dirname, '..')) + ');'
+          , 'var manager = module.exports = ferguson(__dirname, { retainVersions: 1 });'
+          , 'manager.asset("jquery.js");'
+        ].join('\n'));
+        execFile(process.execPath, [ bin, 'prune', module ], function (err, stdout) {
+            assert.ifError(err);
+            assert.deepEqual(compiled(), []);
+            assert.equal(stdout.trim(), 'Removed asset-11111111-jquery.js');
+            done();
+        });
+    });
+
+});
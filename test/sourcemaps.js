@@ -0,0 +1,136 @@
+var assert = require('assert')
+  , path = require('path')
+  , rimraf = require('rimraf')
+  , SourceMapGenerator = require('source-map').SourceMapGenerator
+  , SourceMapConsumer = require('source-map').SourceMapConsumer
+  , fs = require('fs');
+
+var Ferguson = require('../').Ferguson
+  , temp = path.join(__dirname, 'tmp');
+
+function setup(options) {
+    rimraf.sync(temp);
+    fs.mkdirSync(temp);
+    fs.mkdirSync(path.join(temp, 'js'));
+    fs.writeFileSync(path.join(temp, 'js', 'foo.js'), 'var foo = 1;\nvar bar = 2;\n');
+    fs.writeFileSync(path.join(temp, 'js', 'bar.js'), 'var baz = 3;\n\nvar qux = 4;\n');
+    fs.writeFileSync(path.join(temp, 'style.css'), 'body {\n    color: red;\n}\n');
+    options = options || {};
+    options.sourceMaps = true;
+    return new Ferguson(temp, options);
+}
+
+function compile(manager, identifier, options, callback) {
+    manager.assetPath(identifier, options);
+    var asset = manager.pendingAssets[identifier];
+    manager.compileAsset(asset, function (err) {
+        assert.ifError(err);
+        var outputPath = path.join(temp, asset.path)
+          , contents = fs.readFileSync(outputPath).toString()
+          , map = null;
+        if (fs.existsSync(outputPath + '.map')) {
+            map = JSON.parse(fs.readFileSync(outputPath + '.map').toString());
+        }
+        callback(contents, map, path.basename(asset.path));
+    });
+}
+
+function lookup(map, line, column) {
+    var original = new SourceMapConsumer(map).originalPositionFor({
+        line: line
+      , column: column
+    });
+    return [ original.source, original.line ];
+}
+
+describe('Source maps', function () {
+
+    it('should generate source maps for bundles', function (done) {
+        var manager = setup();
+        compile(manager, 'js/all.js', { include: [ 'js/foo.js', 'js/bar.js' ] },
+                function (contents, map, filename) {
+            assert.equal(contents, 'var foo = 1;\nvar bar = 2;\nvar baz = 3;\n\nvar qux = 4;\n' +
+                '\n//# sourceMappingURL=' + filename + '.map');
+            assert.equal(map.file, filename);
+            assert.deepEqual(lookup(map, 2, 4), [ 'foo.js', 2 ]);
+            assert.deepEqual(lookup(map, 3, 4), [ 'bar.js', 1 ]);
+            assert.deepEqual(lookup(map, 5, 0), [ 'bar.js', 3 ]);
+            done();
+        });
+    });
+
+    it('should generate source maps for compressed bundles', function (done) {
+        var manager = setup({ compress: true });
+        compile(manager, 'js/all.js', { include: [ 'js/foo.js', 'js/bar.js' ] },
+                function (contents, map, filename) {
+            assert.equal(contents, 'var foo=1,bar=2,baz=3,qux=4;' +
+                '\n//# sourceMappingURL=' + filename + '.map');
+            assert.deepEqual(lookup(map, 1, contents.indexOf('bar')), [ 'foo.js', 2 ]);
+            assert.deepEqual(lookup(map, 1, contents.indexOf('qux')), [ 'bar.js', 3 ]);
+            done();
+        });
+    });
+
+    it('should account for javascript that\'s wrapped in an IIFE', function (done) {
+        var manager = setup({ wrapJavascript: true });
+        compile(manager, 'js/all.js', { include: [ 'js/foo.js', 'js/bar.js' ] },
+                function (contents, map) {
+            assert.equal(contents.indexOf('!function(){var foo = 1;'), 0);
+            assert.deepEqual(lookup(map, 1, 12), [ 'foo.js', 1 ]);
+            assert.deepEqual(lookup(map, 3, 0), [ 'bar.js', 1 ]);
+            done();
+        });
+    });
+
+    it('should chain source maps returned by compilers', function (done) {
+        var manager = setup();
+        fs.writeFileSync(path.join(temp, 'js', 'baz.coffee'), 'baz = 1\nqux = 2\n');
+        manager.registerCompiler('.coffee', '.js', function () {
+            var generator = new SourceMapGenerator({ file: 'baz.js' });
+            generator.addMapping({
+                generated: { line: 2, column: 0 }
+              , original: { line: 2, column: 0 }
+              , source: 'baz.coffee'
+            });
+            return {
+                contents: '(function () {\nqux = 2;\n})();\n'
+              , map: generator.toString()
+            };
+        });
+        compile(manager, 'js/all.js', { include: [ 'js/foo.js', 'js/baz.js' ] },
+                function (contents, map) {
+            assert.deepEqual(lookup(map, 1, 0), [ 'foo.js', 1 ]);
+            assert.deepEqual(lookup(map, 4, 0), [ 'baz.coffee', 2 ]);
+            done();
+        });
+    });
+
+    it('should make sources relative to the compiled asset', function (done) {
+        var manager = setup();
+        compile(manager, 'all.js', { include: [ 'js/foo.js', 'js/bar.js' ] },
+                function (contents, map) {
+            assert.deepEqual(map.sources, [ 'js/foo.js', 'js/bar.js' ]);
+            done();
+        });
+    });
+
+    it('should generate source maps for stylesheets', function (done) {
+        var manager = setup();
+        compile(manager, 'style.css', {}, function (contents, map, filename) {
+            assert.equal(contents, 'body {\n    color: red;\n}\n' +
+                '\n/*# sourceMappingURL=' + filename + '.map */');
+            assert.deepEqual(lookup(map, 2, 4), [ 'style.css', 2 ]);
+            done();
+        });
+    });
+
+    it('should omit the source map when a compressor doesn\'t provide one', function (done) {
+        var manager = setup({ compress: true });
+        compile(manager, 'style.css', {}, function (contents, map) {
+            assert.equal(contents, 'body{color:red}');
+            assert.equal(map, null);
+            done();
+        });
+    });
+
+});
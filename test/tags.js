@@ -3,6 +3,7 @@ var assert = require('assert')
   , format = require('util').format
   , rimraf = require('rimraf')
   , marked = require('marked')
+  , crypto = require('crypto')
   , fs = require('fs');
 
 var Ferguson = require('../').Ferguson
@@ -13,6 +14,18 @@ function setup(directory, options) {
     return new Ferguson(path.join(fixtures, directory), options);
 }
 
+function digest(algorithm, contents) {
+    return algorithm + '-' + crypto.createHash(algorithm).update(contents).digest('base64');
+}
+
+//Wait for a file that's written in the background
+function waitFor(file, callback) {
+    if (fs.existsSync(file)) {
+        return callback();
+    }
+    setTimeout(waitFor.bind(null, file, callback), 10);
+}
+
 describe('Tags', function () {
 
     it('should generate script tags for javascript assets', function () {
@@ -94,6 +107,125 @@ describe('Tags', function () {
             '<img src="/asset-74be16-image.gif" />');
     });
 
+    it('should output preload tags for fonts', function () {
+        rimraf.sync(temp);
+        fs.mkdirSync(temp);
+        fs.writeFileSync(path.join(temp, 'font.woff2'), 'foo');
+        var manager = new Ferguson(temp);
+        assert.equal(manager.asset('font.woff2'), format('<link href="%s" as="font" ' +
+            'crossorigin="anonymous" rel="preload" type="font/woff2" />', manager.assetPath('font.woff2')));
+    });
+
+    it('should provide view helpers for preloading and prefetching assets', function () {
+        rimraf.sync(temp);
+        fs.mkdirSync(temp);
+        fs.writeFileSync(path.join(temp, 'font.woff'), 'foo');
+        fs.writeFileSync(path.join(temp, 'app.js'), 'var foo');
+        fs.writeFileSync(path.join(temp, 'data.json'), '{}');
+        var manager = new Ferguson(temp)
+          , helper = manager.helper();
+        assert.equal(helper.preload('font.woff'), format('<link href="%s" as="font" ' +
+            'crossorigin="anonymous" rel="preload" type="font/woff" />', manager.assetPath('font.woff')));
+        assert.equal(helper.preload('app.js'), format('<link href="%s" as="script" rel="preload" />',
+            manager.assetPath('app.js')));
+        assert.equal(helper.prefetch('app.js', { crossorigin: 'use-credentials' }),
+            format('<link href="%s" as="script" crossorigin="use-credentials" rel="prefetch" />',
+                manager.assetPath('app.js')));
+        assert.equal(helper.preload('data.json', { as: 'fetch', type: 'application/json' }),
+            format('<link href="%s" as="fetch" rel="preload" type="application/json" />',
+                manager.assetPath('data.json')));
+    });
+
+    it('should add the assets that a response renders to its Link header', function () {
+        var manager = setup('simple-assets', { html5: true, linkHeaders: true })
+          , headers = { link: '</foo.js>; rel=preload; as=script' }
+          , response = {
+                headersSent: false
+              , getHeader: function (name) {
+                    return headers[name.toLowerCase()];
+                }
+              , setHeader: function (name, value) {
+                    headers[name.toLowerCase()] = value;
+                }
+            }
+          , helper = manager.helper({}, response);
+        helper('jquery.js');
+        helper('jquery.js');
+        helper('style.css', { integrity: 'sha256' });
+        helper('style.css', { inline: true });
+        helper('robots.txt', { inline: true });
+        helper.prefetch('image.png');
+        assert.deepEqual(headers.link, [
+            '</foo.js>; rel=preload; as=script'
+          , format('<%s>; rel=preload; as=script', manager.assetPath('jquery.js'))
+          , format('<%s>; rel=preload; as=style; crossorigin', manager.assetPath('style.css'))
+          , format('<%s>; rel=prefetch; as=image; type="image/png"', manager.assetPath('image.png'))
+        ]);
+        response.headersSent = true;
+        helper('respond.js');
+        assert.equal(headers.link.length, 4);
+        assert.equal(manager.helper({}).preload('jquery.js').indexOf('<link'), 0);
+    });
+
+    it('should output boolean attributes', function () {
+        var manager = setup('simple-assets', { hashLength: 6, html5: true });
+        assert.equal(manager.asset('jquery.js', { attributes: { async: true, defer: false } }),
+            '<script src="/asset-82470a-jquery.js" async></script>');
+        manager = setup('simple-assets', { hashLength: 6 });
+        assert.equal(manager.asset('jquery.js', { attributes: { async: true, defer: null } }),
+            '<script src="/asset-82470a-jquery.js" async="async" type="text/javascript"></script>');
+    });
+
+    it('should let users specify how scripts load', function () {
+        var manager = setup('simple-assets', { hashLength: 6, html5: true });
+        assert.equal(manager.asset('jquery.js', { load: 'async' }),
+            '<script src="/asset-82470a-jquery.js" async></script>');
+        assert.equal(manager.asset('jquery.js', { load: 'defer' }),
+            '<script src="/asset-82470a-jquery.js" defer></script>');
+        assert.equal(manager.asset('jquery.js', { load: 'module' }),
+            '<script src="/asset-82470a-jquery.js" type="module"></script>');
+        var error;
+        manager.on('error', function (err) {
+            error = err;
+        });
+        assert.equal(manager.asset('jquery.js', { load: 'eventually' }),
+            '<script src="/asset-82470a-jquery.js"></script>');
+        assert(error && error.message.indexOf('Unknown load option "eventually"') >= 0,
+            'Expected an error');
+    });
+
+    it('should output a legacy bundle for browsers without module support', function () {
+        var manager = setup('simple-assets', { html5: true, linkHeaders: true })
+          , links = []
+          , helper = manager.helper({}, {
+                headersSent: false
+              , getHeader: function () {
+                    return links;
+                }
+              , setHeader: function (name, value) {
+                    links = value;
+                }
+            });
+        manager.asset('legacy.js', { include: [ 'html5shiv.js', 'respond.js' ] });
+        assert.equal(helper('jquery.js', { nomodule: 'legacy.js' }), [
+            format('<script src="%s" type="module"></script>', manager.assetPath('jquery.js'))
+          , format('<script src="%s" nomodule></script>', manager.assetPath('legacy.js'))
+        ].join('\n'));
+        assert.deepEqual(links, [
+            format('<%s>; rel=modulepreload; as=script', manager.assetPath('jquery.js'))
+        ]);
+        manager = setup('simple-assets', { html5: true, separateBundles: true });
+        assert.equal(manager.asset('all.js', {
+            include: [ 'jquery.js', 'html5shiv.js' ]
+          , nomodule: 'respond.js'
+          , load: 'module'
+        }), [
+            format('<script src="%s" type="module"></script>', manager.assetPath('jquery.js'))
+          , format('<script src="%s" type="module"></script>', manager.assetPath('html5shiv.js'))
+          , format('<script src="%s" nomodule></script>', manager.assetPath('respond.js'))
+        ].join('\n'));
+    });
+
     it('should escape certain chars in attribute values', function () {
         var manager = setup('simple-assets', { hashLength: 6 });
         assert.equal(manager.asset('image.png', { attributes: { alt: 'Foo & bar' }}),
@@ -202,6 +334,120 @@ describe('Tags', function () {
         assert(had_error, 'Expected an error');
     });
 
+    it('should keep the queue of required assets on the locals of a response', function () {
+        var manager = setup('simple-assets', { html5: true })
+          , locals = {};
+        manager.helper(locals).require('jquery.js');
+        assert.deepEqual(Object.keys(locals), []);
+        assert.equal(manager.helper({}).flush('js'), '');
+        assert.equal(manager.helper(locals).flush('js'),
+            format('<script src="%s"></script>', manager.assetPath('jquery.js')));
+        assert.equal(manager.helper(locals).flush('js'), '');
+    });
+
+    it('should output the assets that an asset requires first', function () {
+        rimraf.sync(temp);
+        fs.mkdirSync(temp);
+        [ 'jquery.js', 'lodash.js', 'app.js', 'admin.js' ].forEach(function (file) {
+            fs.writeFileSync(path.join(temp, file), format('var %s;', file.split('.')[0]));
+        });
+        var manager = new Ferguson(temp, { html5: true });
+        manager.asset('vendor.js', { include: [ 'jquery.js', 'lodash.js' ] });
+        manager.asset('app.js', { requires: 'vendor.js' });
+        manager.asset('admin.js', { requires: [ 'app.js', 'vendor.js' ] });
+        function tag(identifier) {
+            return format('<script src="%s"></script>', manager.assetPath(identifier));
+        }
+        assert.equal(manager.asset('admin.js'),
+            [ tag('vendor.js'), tag('app.js'), tag('admin.js') ].join('\n'));
+        var helper = manager.helper({});
+        helper.require('app.js');
+        helper.require('admin.js');
+        assert.equal(helper.flush('js'), [ tag('vendor.js'), tag('app.js'), tag('admin.js') ].join('\n'));
+    });
+
+    it('should output the assets that an asset requires once per response', function () {
+        rimraf.sync(temp);
+        fs.mkdirSync(temp);
+        [ 'jquery.js', 'app.js', 'admin.js' ].forEach(function (file) {
+            fs.writeFileSync(path.join(temp, file), format('var %s;', file.split('.')[0]));
+        });
+        var manager = new Ferguson(temp, { html5: true });
+        manager.asset('vendor.js', { include: 'jquery.js' });
+        manager.asset('app.js', { requires: 'vendor.js' });
+        manager.asset('admin.js', { requires: 'app.js' });
+        function tag(identifier) {
+            return format('<script src="%s"></script>', manager.assetPath(identifier));
+        }
+        var locals = {}
+          , helper = manager.helper(locals);
+        assert.equal(helper('app.js'), [ tag('vendor.js'), tag('app.js') ].join('\n'));
+        assert.equal(helper('admin.js'), tag('admin.js'));
+        manager.helper(locals).require('vendor.js');
+        manager.helper(locals).require('admin.js');
+        assert.equal(helper.flush('js'), '');
+        assert.deepEqual(Object.keys(locals), []);
+        assert.equal(manager.helper({})('admin.js'),
+            [ tag('vendor.js'), tag('app.js'), tag('admin.js') ].join('\n'));
+    });
+
+    it('should output assets every time that they\'re used directly', function () {
+        var manager = setup('simple-assets', { html5: true })
+          , helper = manager.helper({})
+          , url = manager.assetPath('1x1.gif');
+        assert.equal(helper('1x1.gif', { attributes: { alt: 'a' }}),
+            format('<img src="%s" alt="a" />', url));
+        assert.equal(helper('1x1.gif', { attributes: { alt: 'b' }}),
+            format('<img src="%s" alt="b" />', url));
+        helper.require('1x1.gif');
+        assert.equal(helper.flush('gif'), '');
+    });
+
+    it('should emit a single error when a required asset doesn\'t exist', function () {
+        rimraf.sync(temp);
+        fs.mkdirSync(temp);
+        fs.writeFileSync(path.join(temp, 'app.js'), 'var app;');
+        var manager = new Ferguson(temp, { html5: true })
+          , errors = [];
+        manager.on('error', function (err) {
+            errors.push(err.message);
+        });
+        assert.equal(manager.helper({})('app.js', { requires: 'vendor.js' }),
+            format('<script src="%s"></script>', manager.assetPath('app.js')));
+        assert.deepEqual(errors, [ 'Asset "vendor.js" could not be found' ]);
+    });
+
+    it('should respect the assets that an asset requires when using separateBundles', function () {
+        rimraf.sync(temp);
+        fs.mkdirSync(temp);
+        [ 'jquery.js', 'lodash.js', 'app.js' ].forEach(function (file) {
+            fs.writeFileSync(path.join(temp, file), format('var %s;', file.split('.')[0]));
+        });
+        var manager = new Ferguson(temp, { html5: true, separateBundles: true });
+        manager.asset('vendor.js', { include: [ 'jquery.js', 'lodash.js' ] });
+        assert.equal(manager.asset('app.js', { requires: 'vendor.js' }), [
+            format('<script src="%s"></script>', manager.assetPath('jquery.js'))
+          , format('<script src="%s"></script>', manager.assetPath('lodash.js'))
+          , format('<script src="%s"></script>', manager.assetPath('app.js'))
+        ].join('\n'));
+    });
+
+    it('should emit an error when assets require each other', function () {
+        rimraf.sync(temp);
+        fs.mkdirSync(temp);
+        fs.writeFileSync(path.join(temp, 'foo.js'), 'var foo;');
+        fs.writeFileSync(path.join(temp, 'bar.js'), 'var bar;');
+        var manager = new Ferguson(temp)
+          , error;
+        manager.on('error', function (err) {
+            error = err;
+        });
+        manager.asset('bar.js', { requires: 'foo.js' });
+        assert.equal(manager.asset('foo.js', { requires: 'bar.js' }), '');
+        assert(error && error.message.indexOf('foo.js -> bar.js -> foo.js') >= 0,
+            'Expected a circular dependency error');
+    });
+
     it('should let users override options when referencing predefined assets', function () {
         var manager = setup('simple-assets', { hashLength: 6, html5: true });
         manager.asset('ie8.js', { include: ['html5shiv.js', 'respond.js'] });
@@ -219,6 +465,38 @@ describe('Tags', function () {
             '<script>window.jQuery={};</script>');
     });
 
+    it('should add nonces to inline scripts and styles', function () {
+        var manager = setup('simple-assets', { html5: true, compress: true })
+          , helper = manager.helper({ nonce: 'abc123' });
+        assert.equal(helper('style.css', { inline: true }),
+            '<style nonce="abc123">body{color:red}</style>');
+        assert.equal(helper('jquery.js', { inline: true, nonce: 'def456' }),
+            '<script nonce="def456">window.jQuery={};</script>');
+        assert.equal(helper('1x1.gif', { inline: true }).indexOf('nonce'), -1);
+        assert.equal(manager.asset('style.css', { inline: true }),
+            '<style>body{color:red}</style>');
+    });
+
+    it('should collect the hashes of inline scripts and styles', function () {
+        var manager = setup('simple-assets', { html5: true, compress: true })
+          , helper = manager.helper({});
+        function digest(str) {
+            return 'sha256-' + crypto.createHash('sha256').update(str).digest('base64');
+        }
+        assert.deepEqual(helper.inlineHashes(), []);
+        helper('style.css', { inline: true });
+        helper('jquery.js', { inline: true });
+        helper('jquery.js', { inline: true });
+        helper('jquery.js');
+        assert.deepEqual(helper.inlineHashes('css'), [ digest('body{color:red}') ]);
+        assert.deepEqual(helper.inlineHashes('.js'), [ digest('window.jQuery={};') ]);
+        assert.deepEqual(helper.inlineHashes(), [
+            digest('window.jQuery={};')
+          , digest('body{color:red}')
+        ]);
+        assert.deepEqual(manager.helper({}).inlineHashes(), []);
+    });
+
     it('should separate bundles when using inline and separateBundles', function () {
         var manager = setup('simple-assets', { html5: true, compress: true, separateBundles: true });
         var html = manager.asset('jquery.js', { inline: true, include: ['html5shiv.js', 'respond.js'] });
@@ -351,8 +629,8 @@ describe('Tags', function () {
         });
         var inline = manager.assetInline('jquery.js');
         assert.equal(inline, 'var foo');
-        manager.on('change', function (file) {
-            if (file !== 'jquery.js') return;
+        manager.on('changes', function (files) {
+            if (files.indexOf('jquery.js') === -1) return;
             inline = manager.assetInline('jquery.js');
             assert.equal(inline, 'var bar');
             manager.destroy();
@@ -373,8 +651,8 @@ describe('Tags', function () {
         });
         var inline = manager.assetInline('foo.js', { include: [ 'jquery.js', 'html5shiv.js' ] });
         assert.equal(inline, 'var foo;var bar;');
-        manager.on('change', function (file) {
-            if (file !== 'html5shiv.js') return;
+        manager.on('changes', function (files) {
+            if (files.indexOf('html5shiv.js') === -1) return;
             inline = manager.assetInline('foo.js');
             assert.equal(inline, 'var foo;var qux;');
             manager.destroy();
@@ -383,6 +661,128 @@ describe('Tags', function () {
         fs.writeFileSync(html5shiv, 'var qux;');
     });
 
+    it('should inline assets that are smaller than a threshold', function () {
+        rimraf.sync(temp);
+        fs.mkdirSync(temp);
+        fs.writeFileSync(path.join(temp, 'small.js'), 'var foo;');
+        fs.writeFileSync(path.join(temp, 'large.js'), 'var foo = "' + new Array(101).join('x') + '";');
+        var manager = new Ferguson(temp, { html5: true, inlineThreshold: 64 })
+          , compiles = 0
+          , compileAssetSync = manager.compileAssetSync;
+        manager.compileAssetSync = function () {
+            compiles++;
+            return compileAssetSync.apply(this, arguments);
+        };
+        assert.equal(manager.asset('small.js'), '<script>var foo;</script>');
+        assert.equal(manager.asset('small.js'), '<script>var foo;</script>');
+        assert.equal(manager.asset('large.js'),
+            format('<script src="%s"></script>', manager.assetPath('large.js')));
+        assert.equal(manager.asset('large.js'),
+            format('<script src="%s"></script>', manager.assetPath('large.js')));
+        assert.equal(compiles, 2);
+        assert.equal(manager.asset('small.js', { inlineThreshold: 0 }),
+            format('<script src="%s"></script>', manager.assetPath('small.js')));
+        assert.equal(manager.asset('large.js', { inlineThreshold: 1024 }).indexOf('<script>var foo'), 0);
+        assert.equal(manager.asset('large.js', { inlineThreshold: 1024 }).indexOf('<script>var foo'), 0);
+        assert.equal(compiles, 3);
+    });
+
+    it('should not inline assets that load as modules or asynchronously', function () {
+        rimraf.sync(temp);
+        fs.mkdirSync(temp);
+        fs.writeFileSync(path.join(temp, 'app.js'), 'import foo;');
+        fs.writeFileSync(path.join(temp, 'legacy.js'), 'var foo;');
+        fs.writeFileSync(path.join(temp, 'defer.js'), 'var foo;');
+        fs.writeFileSync(path.join(temp, 'async.js'), 'var foo;');
+        var manager = new Ferguson(temp, { html5: true, inlineThreshold: 64 });
+        function tag(identifier, attributes) {
+            return format('<script src="%s"%s></script>', manager.assetPath(identifier), attributes);
+        }
+        assert.equal(manager.asset('app.js', { load: 'module', nomodule: 'legacy.js' }), [
+            tag('app.js', ' type="module"')
+          , '<script nomodule>var foo;</script>'
+        ].join('\n'));
+        assert.equal(manager.asset('defer.js', { load: 'defer' }), tag('defer.js', ' defer'));
+        assert.equal(manager.asset('async.js', { load: 'async' }), tag('async.js', ' async'));
+    });
+
+    it('should not inline assets that have an integrity digest', function (done) {
+        rimraf.sync(temp);
+        fs.mkdirSync(temp);
+        fs.writeFileSync(path.join(temp, 'app.js'), 'var foo;');
+        var manager = new Ferguson(temp, { html5: true, inlineThreshold: 64 })
+          , html = manager.asset('app.js', { integrity: true });
+        assert.equal(html.indexOf(format('<script src="%s"', manager.assetPath('app.js'))), 0);
+        assert(html.indexOf(' integrity="sha384-') > 0, 'Expected an integrity digest');
+        manager = new Ferguson(temp, { html5: true, inlineThreshold: 64, integrity: true });
+        assert.equal(manager.asset('app.js').indexOf('<script src="'), 0);
+        assert.equal(manager.asset('app.js', { integrity: false }), '<script>var foo;</script>');
+        waitFor(path.join(temp, manager.assetPath('app.js')), done);
+    });
+
+    it('should decide whether to inline an asset from its compiled size', function () {
+        rimraf.sync(temp);
+        fs.mkdirSync(temp);
+        fs.writeFileSync(path.join(temp, 'small.es'), 'x');
+        fs.writeFileSync(path.join(temp, 'large.es'), new Array(101).join('x'));
+        fs.writeFileSync(path.join(temp, 'bar.js'), 'var bar;');
+        var manager = new Ferguson(temp, { html5: true, inlineThreshold: 32, compress: true });
+        manager.registerCompiler('.es', '.js', function (path, buffer) {
+            return buffer.length > 1 ? 'var x;' : 'var x = "' + new Array(101).join('x') + '";';
+        });
+        manager.registerCompressor('.js', function (buffer) {
+            return buffer;
+        });
+        assert.equal(manager.asset('small.es'),
+            format('<script src="%s"></script>', manager.assetPath('small.es')));
+        assert.equal(manager.asset('large.es'), '<script>var x;</script>');
+        manager.registerCompressor('.js', function (buffer, options, callback) {
+            callback(null, buffer);
+        });
+        var error;
+        manager.on('error', function (err) {
+            error = err;
+        });
+        //Assets that can't be compiled synchronously are referenced instead
+        assert.equal(manager.asset('bar.js'),
+            format('<script src="%s"></script>', manager.assetPath('bar.js')));
+        assert(!error, 'Expected no error');
+    });
+
+    it('should not inline stylesheets that contain relative urls', function () {
+        rimraf.sync(temp);
+        fs.mkdirSync(temp);
+        fs.mkdirSync(path.join(temp, 'css'));
+        fs.writeFileSync(path.join(temp, 'css', 'logo.css'), 'a{background:url(../img/x.png)}');
+        fs.writeFileSync(path.join(temp, 'css', 'icon.css'), 'b{background:url(/img/x.png)}');
+        var manager = new Ferguson(temp, { html5: true, inlineThreshold: 64 });
+        assert.equal(manager.asset('css/logo.css'),
+            format('<link href="%s" rel="stylesheet" />', manager.assetPath('css/logo.css')));
+        assert.equal(manager.asset('css/icon.css'), '<style>b{background:url(/img/x.png)}</style>');
+    });
+
+    it('should measure compiled assets without compiling them again', function (done) {
+        rimraf.sync(temp);
+        fs.mkdirSync(temp);
+        fs.writeFileSync(path.join(temp, 'large.js'), 'var foo = "' + new Array(101).join('x') + '";');
+        var manager = new Ferguson(temp, { html5: true });
+        manager.assetPath('large.js');
+        manager.compileAssetLocked(manager.pendingAssets['large.js'], function (err) {
+            assert.ifError(err);
+            manager = new Ferguson(temp, { html5: true, inlineThreshold: 64 });
+            var compiles = 0
+              , compileAssetSync = manager.compileAssetSync;
+            manager.compileAssetSync = function () {
+                compiles++;
+                return compileAssetSync.apply(this, arguments);
+            };
+            assert.equal(manager.asset('large.js'),
+                format('<script src="%s"></script>', manager.assetPath('large.js')));
+            assert.equal(compiles, 0);
+            done();
+        });
+    });
+
     it('should cache inline assets in memory', function () {
         var manager = new Ferguson(path.join(fixtures, 'markdown-assets'))
           , compiles = 0;
@@ -416,4 +816,88 @@ describe('Tags', function () {
         assert.equal(inline, '<style>foo</style>');
     });
 
+    it('should add subresource integrity attributes', function (done) {
+        rimraf.sync(temp);
+        fs.mkdirSync(temp);
+        fs.writeFileSync(path.join(temp, 'foo.js'), 'var foo;');
+        fs.writeFileSync(path.join(temp, 'foo.css'), 'a{color:red}');
+        fs.writeFileSync(path.join(temp, 'foo.png'), 'png');
+        var manager = new Ferguson(temp, { integrity: 'sha256', hashLength: 6 });
+        var js = manager.assetPath('foo.js');
+        assert.equal(manager.asset('foo.js'), format('<script src="%s" crossorigin="anonymous" ' +
+            'integrity="%s" type="text/javascript"></script>', js, digest('sha256', 'var foo;')));
+        var css = manager.assetPath('foo.css');
+        assert.equal(manager.asset('foo.css', { attributes: { crossorigin: 'use-credentials' }}),
+            format('<link href="%s" crossorigin="use-credentials" integrity="%s" ' +
+                'rel="stylesheet" />', css, digest('sha256', 'a{color:red}')));
+        assert.equal(manager.asset('foo.png'),
+            format('<img src="%s" />', manager.assetPath('foo.png')));
+        assert.equal(manager.asset('foo.js', { integrity: false }),
+            format('<script src="%s" type="text/javascript"></script>', js));
+        waitFor(path.join(temp, js), function () {
+            assert.equal(fs.readFileSync(path.join(temp, js)).toString(), 'var foo;');
+            waitFor(path.join(temp, css), done);
+        });
+    });
+
+    it('should write the same compiled asset as the middleware when calculating integrity', function (done) {
+        rimraf.sync(temp);
+        fs.mkdirSync(temp);
+        fs.writeFileSync(path.join(temp, 'foo.js'), 'var foo = 1;\nvar bar = 2;\n');
+        var manager = new Ferguson(temp, {
+            integrity: true
+          , compress: true
+          , sourceMaps: true
+          , precompress: true
+        });
+        var integrity = manager.assetIntegrity('foo.js')
+          , compiled = path.join(temp, manager.assetPath('foo.js'));
+        waitFor(compiled + '.gz', function () {
+            var contents = fs.readFileSync(compiled).toString();
+            assert(contents.indexOf('sourceMappingURL=') >= 0, 'Expected a source map comment');
+            assert(fs.existsSync(compiled + '.map'), 'Expected a source map');
+            assert.equal(integrity, digest('sha384', contents));
+            done();
+        });
+    });
+
+    it('should calculate integrity digests from compiled assets', function () {
+        rimraf.sync(temp);
+        fs.mkdirSync(temp);
+        fs.writeFileSync(path.join(temp, 'foo.js'), 'var foo;');
+        var manager = new Ferguson(temp, { integrity: true });
+        fs.writeFileSync(path.join(temp, manager.assetPath('foo.js')), 'var bar;');
+        var expected = 'sha384-' + crypto.createHash('sha384').update('var bar;').digest('base64');
+        assert.equal(manager.assetIntegrity('foo.js'), expected);
+        //The digest is cached per compiled asset
+        fs.writeFileSync(path.join(temp, manager.assetPath('foo.js')), 'var baz;');
+        assert.equal(manager.assetIntegrity('foo.js'), expected);
+    });
+
+    it('should compile assets in the background when they can\'t be compiled synchronously', function (done) {
+        rimraf.sync(temp);
+        fs.mkdirSync(temp);
+        fs.writeFileSync(path.join(temp, 'foo.js'), 'var foo;');
+        var manager = new Ferguson(temp, {
+            html5: true
+          , integrity: true
+          , compress: true
+          , compressors: { '.js': function (buffer, options, callback) {
+                callback(null, buffer);
+            }}
+        });
+        manager.on('error', function (err) {
+            assert.ifError(err);
+        });
+        var compiled = manager.assetPath('foo.js');
+        assert.equal(manager.asset('foo.js'), format('<script src="%s"></script>', compiled));
+        waitFor(path.join(temp, compiled), function () {
+            assert.equal(manager.assetIntegrity('foo.js'), digest('sha384', 'var foo;'));
+            assert(manager.asset('foo.js').indexOf(' integrity="sha384-') > 0,
+                'Expected an integrity digest');
+            done();
+        });
+    });
+
+
 });
@@ -8,4 +8,14 @@ describe('Utils', function () {
         assert.deepEqual(utils.stripDuplicates(['a', 'b', 'c', 'a']), ['a', 'b', 'c']);
     });
 
+    it('should parse Accept-Encoding headers', function () {
+        assert(utils.acceptsEncoding('gzip, deflate', 'gzip'));
+        assert(utils.acceptsEncoding('deflate, GZIP;q=0.5', 'gzip'));
+        assert(utils.acceptsEncoding('*', 'br'));
+        assert(!utils.acceptsEncoding('gzip;q=0', 'gzip'));
+        assert(!utils.acceptsEncoding('*, br;q=0', 'br'));
+        assert(!utils.acceptsEncoding('deflate', 'gzip'));
+        assert(!utils.acceptsEncoding(undefined, 'gzip'));
+    });
+
 });
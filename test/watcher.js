@@ -0,0 +1,117 @@
+var assert = require('assert')
+  , path = require('path')
+  , rimraf = require('rimraf')
+  , fs = require('fs');
+
+var Ferguson = require('../').Ferguson
+  , Watcher = require('../lib/watcher').Watcher
+  , temp = path.join(__dirname, 'tmp');
+
+function setup() {
+    rimraf.sync(temp);
+    fs.mkdirSync(temp);
+    fs.writeFileSync(path.join(temp, 'jquery.js'), 'var foo');
+}
+
+describe('Watcher', function () {
+
+    it('should coalesce bursts of events into a single batch', function (done) {
+        setup();
+        var watcher = new Watcher(temp).start()
+          , batches = [];
+        watcher.on('change', function (files) {
+            batches.push(files);
+        });
+        fs.writeFileSync(path.join(temp, 'jquery.js'), 'var bar');
+        fs.appendFileSync(path.join(temp, 'jquery.js'), ';');
+        fs.writeFileSync(path.join(temp, 'bootstrap.js'), 'var baz');
+        setTimeout(function () {
+            watcher.close();
+            assert.deepEqual(batches, [ [ 'bootstrap.js', 'jquery.js' ] ]);
+            done();
+        }, 200);
+    });
+
+    it('should emit a change event for each file in a batch', function (done) {
+        setup();
+        var manager = new Ferguson(temp, { hotReload: true })
+          , changed = [];
+        manager.init();
+        manager.on('change', function (file) {
+            changed.push(file);
+        });
+        manager.on('changes', function (files) {
+            assert.deepEqual(files, [ 'bootstrap.js', 'jquery.js' ]);
+            assert.deepEqual(changed, files);
+            manager.destroy();
+            done();
+        });
+        fs.writeFileSync(path.join(temp, 'jquery.js'), 'var bar');
+        fs.writeFileSync(path.join(temp, 'bootstrap.js'), 'var baz');
+    });
+
+    it('should handle atomic saves', function (done) {
+        setup();
+        var manager = new Ferguson(temp, { hotReload: true })
+          , before = manager.assetPath('jquery.js');
+        manager.on('changes', function (files) {
+            assert.deepEqual(files, [ 'jquery.js' ]);
+            assert.notEqual(manager.assetPath('jquery.js'), before);
+            assert(!('.jquery.js.swp' in manager.assets), 'Expected the temporary file to be ignored');
+            manager.destroy();
+            done();
+        });
+        fs.writeFileSync(path.join(temp, '.jquery.js.swp'), 'var bar');
+        fs.renameSync(path.join(temp, '.jquery.js.swp'), path.join(temp, 'jquery.js'));
+    });
+
+    it('should ignore events that don\'t change the contents of a file', function (done) {
+        setup();
+        var manager = new Ferguson(temp, { hotReload: true });
+        manager.init();
+        manager.on('changes', function (files) {
+            assert.deepEqual(files, [ 'bootstrap.js' ]);
+            manager.destroy();
+            done();
+        });
+        fs.writeFileSync(path.join(temp, 'jquery.js'), 'var foo');
+        setTimeout(function () {
+            fs.writeFileSync(path.join(temp, 'bootstrap.js'), 'var bar');
+        }, 100);
+    });
+
+    it('should watch the contents of new empty directories', function (done) {
+        setup();
+        var manager = new Ferguson(temp, { hotReload: true })
+          , css = path.join(temp, 'css');
+        manager.on('changes', function (files) {
+            if (files.indexOf(path.join('css', 'style.css')) === -1) return;
+            assert(manager.assetPath('css/style.css'), 'Expected the stylesheet to be indexed');
+            manager.destroy();
+            done();
+        });
+        manager.init();
+        fs.mkdirSync(css);
+        setTimeout(function () {
+            fs.writeFileSync(path.join(css, 'style.css'), 'a{color:red}');
+        }, 100);
+    });
+
+    it('should remove the files in a deleted directory from the index', function (done) {
+        setup();
+        fs.mkdirSync(path.join(temp, 'css'));
+        fs.writeFileSync(path.join(temp, 'css', 'style.css'), 'a{color:red}');
+        var manager = new Ferguson(temp, { hotReload: true });
+        manager.init();
+        assert(manager.assets[path.join('css', 'style.css')], 'Expected the stylesheet to be indexed');
+        manager.on('changes', function (files) {
+            assert.deepEqual(files, [ path.join('css', 'style.css') ]);
+            assert(!manager.assets[path.join('css', 'style.css')],
+                'Expected the stylesheet to be removed');
+            manager.destroy();
+            done();
+        });
+        rimraf.sync(path.join(temp, 'css'));
+    });
+
+});